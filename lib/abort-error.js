@@ -0,0 +1,41 @@
+'use strict'
+
+/* public functions */
+module.exports = AbortError
+
+/**
+ * @function AbortError
+ *
+ * create error for method call that was not started or not continued because
+ * the AbortSignal on the session was aborted
+ *
+ * @param {string} signature - signature of method that was aborted
+ * @param {string} moduleCallId - id of call that was aborted
+ * @param {any} reason - abort reason from signal
+ *
+ * @returns {AbortError}
+ */
+function AbortError (signature, moduleCallId, reason) {
+    // set message
+    this.message = `${signature} aborted`
+    // set call info
+    this.moduleCallId = moduleCallId
+    this.reason = reason
+    this.signature = signature
+    // capture stack trace excluding constructor
+    Error.captureStackTrace(this, AbortError)
+}
+
+/* inherit from Error */
+AbortError.prototype = Object.create(Error.prototype, {
+    constructor: {
+        value: AbortError,
+        writable: true,
+        configurable: true,
+    },
+    name: {
+        value: 'AbortError',
+        writable: true,
+        configurable: true,
+    },
+})
@@ -0,0 +1,150 @@
+'use strict'
+
+/* npm modules */
+const ImmutableAI = require('immutable-ai')
+const defined = require('if-defined')
+
+/* public functions */
+module.exports = containerImmutableAI
+
+containerImmutableAI.setContainer = setContainer
+containerImmutableAI.setDefaultContainer = setDefaultContainer
+
+/* global variables */
+
+// ImmutableCore containers indexed by data store
+const containers = new WeakMap()
+// container that ImmutableAI calls are currently resolved from
+var currentContainer
+// container used when no container is current
+var defaultContainer
+
+// initialize ImmutableAI with object that resolves methods and data from the
+// current container
+ImmutableAI.immutableCore({
+    getData: function () {
+        return getCurrentContainer().getData.apply(null, arguments)
+    },
+    method: function () {
+        return getCurrentContainer().method.apply(null, arguments)
+    },
+    setData: function () {
+        return getCurrentContainer().setData.apply(null, arguments)
+    },
+})
+
+/**
+ * @function containerImmutableAI
+ *
+ * create ImmutableAI instance for method call that resolves methods and data
+ * from the container that owns the data store.
+ *
+ * ImmutableAI uses a single global ImmutableCore instance so for containers
+ * other than the default the instance is wrapped in a proxy that makes the
+ * container current while each property access, assignment, or call on the
+ * instance is run. all ImmutableAI lookups are synchronous so the container
+ * is restored before any async code runs.
+ *
+ * @param {object} args - method args
+ * @param {object} immutable - data store of container module belongs to
+ *
+ * @returns {ImmutableAI}
+ */
+function containerImmutableAI (args, immutable) {
+    // create immutable ai instance
+    var ai = ImmutableAI(args)
+    // get container for data store
+    var container = containers.get(immutable)
+    // default container does not need wrapper
+    if (!defined(container) || container === defaultContainer) {
+        return ai
+    }
+    // wrapper that makes container current for each operation
+    var wrapper = new Proxy(ai, {
+        apply: (target, thisArg, argumentsList) => {
+            return runInContainer(container, ai, wrapper, () => Reflect.apply(ai, thisArg, argumentsList))
+        },
+        get: (target, property) => {
+            return runInContainer(container, ai, wrapper, () => ai[property])
+        },
+        set: (target, property, value) => {
+            return runInContainer(container, ai, wrapper, () => {
+                ai[property] = value
+                return true
+            })
+        },
+    })
+    // return wrapped immutable ai instance
+    return wrapper
+}
+
+/**
+ * @function setContainer
+ *
+ * set ImmutableCore container for data store
+ *
+ * @param {object} immutable - data store
+ * @param {object} container - ImmutableCore container
+ *
+ * @returns {undefined}
+ */
+function setContainer (immutable, container) {
+    containers.set(immutable, container)
+}
+
+/**
+ * @function setDefaultContainer
+ *
+ * set ImmutableCore container used when no container is current
+ *
+ * @param {object} container - ImmutableCore container
+ *
+ * @returns {undefined}
+ */
+function setDefaultContainer (container) {
+    defaultContainer = container
+}
+
+/* private functions */
+
+/**
+ * @function getCurrentContainer
+ *
+ * get container that ImmutableAI calls are currently resolved from
+ *
+ * @returns {object}
+ */
+function getCurrentContainer () {
+    return defined(currentContainer) ? currentContainer : defaultContainer
+}
+
+/**
+ * @function runInContainer
+ *
+ * run function with container set as current container and restore previous
+ * container when done. if function returns the ImmutableAI instance then the
+ * wrapper is returned instead so chained property access stays in container.
+ *
+ * @param {object} container - ImmutableCore container
+ * @param {ImmutableAI} ai - ImmutableAI instance
+ * @param {Proxy} wrapper - wrapper for ImmutableAI instance
+ * @param {function} func - function to run
+ *
+ * @returns {any}
+ */
+function runInContainer (container, ai, wrapper, func) {
+    // save current container
+    var previousContainer = currentContainer
+    // set container as current
+    currentContainer = container
+    try {
+        // run function
+        var ret = func()
+        // return wrapper in place of instance
+        return ret === ai ? wrapper : ret
+    }
+    finally {
+        // restore previous container
+        currentContainer = previousContainer
+    }
+}
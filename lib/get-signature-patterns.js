@@ -0,0 +1,27 @@
+'use strict'
+
+/* public functions */
+module.exports = getSignaturePatterns
+
+/**
+ * @function getSignaturePatterns
+ *
+ * get list of all signature patterns that match method signature starting
+ * with the signature itself and followed by wildcard patterns from most to
+ * least specific.
+ *
+ * @param {string} signature - ModuleName.methodName
+ *
+ * @returns {array}
+ */
+function getSignaturePatterns (signature) {
+    // split signature into moduleName and methodName
+    var parts = signature.split('.')
+    // return patterns from most to least specific
+    return [
+        signature,
+        `${parts[0]}.*`,
+        `*.${parts[1]}`,
+        '*.*',
+    ]
+}
@@ -0,0 +1,57 @@
+'use strict'
+
+/* npm modules */
+const _ = require('lodash')
+
+/* application modules */
+const getValidSignature = require('./get-valid-signature')
+
+/* public functions */
+module.exports = getValidInvalidateOn
+
+/**
+ * @function getValidInvalidateOn
+ *
+ * validate invalidateOn cache option and return list of objects with
+ * signature of method that invalidates cache and optional params map
+ *
+ * each entry may be either a signature (e.g. 'ModuleName.methodName') or an
+ * object with signature and params where params maps the args used to build
+ * the cache key to paths in the args of the invalidating method.
+ *
+ * @param {array} invalidateOn
+ *
+ * @returns {array}
+ *
+ * @throws on invalid invalidateOn
+ */
+function getValidInvalidateOn (invalidateOn) {
+    // require array
+    if (!Array.isArray(invalidateOn)) {
+        throw new Error('cache error: invalidateOn must be array')
+    }
+    // validate each entry
+    return _.map(invalidateOn, entry => {
+        // convert signature to object
+        if (typeof entry === 'string') {
+            entry = {signature: entry}
+        }
+        // require object
+        if (!entry || typeof entry !== 'object') {
+            throw new Error('cache error: invalidateOn entry must be signature or object')
+        }
+        // require params to be object if set
+        if (_.has(entry, 'params') && !_.isPlainObject(entry.params)) {
+            throw new Error('cache error: invalidateOn params must be object')
+        }
+        // require valid signature without wildcards
+        try {
+            getValidSignature(entry.signature)
+        }
+        catch (err) {
+            throw new Error('cache error: invalidateOn '+err.message)
+        }
+        // return copy of entry with only valid properties
+        return _.pick(entry, ['params', 'signature'])
+    })
+}
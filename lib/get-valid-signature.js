@@ -1,5 +1,8 @@
 'use strict'
 
+/* npm modules */
+const _ = require('lodash')
+
 /* application modules */
 const requireValidName = require('./require-valid-name')
 
@@ -12,13 +15,17 @@ module.exports = getValidSignature
  * validate method signature (e.g. 'ModuleName.methodName') and return
  * object with parsed out methodName, moduleName, and signature
  *
+ * if allowWildcard is set then either name may be a * wildcard and the
+ * wildcard flag will be set if it is.
+ *
  * @param {string} signature
+ * @param {boolean} allowWildcard
  *
  * @returns {object}
  *
  * @throws on invalid signature
  */
- function getValidSignature (signature) {
+ function getValidSignature (signature, allowWildcard) {
     // require string
     if (typeof signature !== 'string') {
         throw new Error('signature must be string')
@@ -33,13 +40,17 @@ module.exports = getValidSignature
     var moduleName = parts[0]
     // method name is second part
     var methodName = parts[1]
-    // require names to be valid
-    requireValidName(moduleName)
-    requireValidName(methodName)
+    // require names to be valid or wildcard if allowed
+    _.each([moduleName, methodName], name => {
+        if (!allowWildcard || name !== '*') {
+            requireValidName(name)
+        }
+    })
     // return module and function name
     return {
         signature: signature,
         methodName: methodName,
         moduleName: moduleName,
+        wildcard: moduleName === '*' || methodName === '*',
     }
 }
\ No newline at end of file
@@ -6,7 +6,6 @@ const _ = require('lodash')
 const deepFreeze = require('deep-freeze-strict')
 const deepResolve = require('deep-resolve')
 const defined = require('if-defined')
-const immutableAI = require('immutable-ai')
 const instanceId = require('immutable-instance-id')
 const microTimestamp = require('micro-timestamp')
 const randomUniqueId = require('random-unique-id')
@@ -14,6 +13,12 @@ const requireValidOptionalObject = require('immutable-require-valid-optional-obj
 const stableId = require('stable-id')
 
 /* application modules */
+const AbortError = require('./abort-error')
+const TimeoutError = require('./timeout-error')
+const containerImmutableAI = require('./container-immutable-ai')
+const getValidInvalidateOn = require('./get-valid-invalidate-on')
+const getSignaturePatterns = require('./get-signature-patterns')
+const matchSignature = require('./match-signature')
 const requireValidCacheClient = require('./require-valid-cache-client')
 const requireValidName = require('./require-valid-name')
 
@@ -26,8 +31,13 @@ module.exports = ImmutableCoreModule
 const bindTypes = {
     after: true,
     afterDetach: true,
+    around: true,
     before: true,
     beforeDetach: true,
+    finally: true,
+    finallyDetach: true,
+    onError: true,
+    onErrorDetach: true,
     with: true,
     withDetach: true,
 }
@@ -36,9 +46,55 @@ const bindTypes = {
 const detachBindTypes = {
     afterDetach: true,
     beforeDetach: true,
+    finallyDetach: true,
+    onErrorDetach: true,
     withDetach: true,
 }
 
+// bind options that must be functions
+const bindFunctionOptions = [
+    'mapArgs',
+    'mapResult',
+    'when',
+]
+
+// merge strategies for bind results
+const mergeStrategies = {
+    concatArrays: true,
+    deep: true,
+    none: true,
+    replace: true,
+    shallow: true,
+}
+
+// max number of cache keys kept in the tag index for each container
+const maxCacheTagKeys = 10000
+
+// keys that are only deep merged as own data properties to prevent prototype
+// pollution - __proto__ is never merged
+const unsafeMergeKeys = [
+    '__proto__',
+    'constructor',
+    'prototype',
+]
+
+// expose bind types and bind store helpers for ImmutableCore
+ImmutableCoreModule.bindTypes = bindTypes
+ImmutableCoreModule.detachBindTypes = detachBindTypes
+ImmutableCoreModule.bindFunctionOptions = bindFunctionOptions
+ImmutableCoreModule.addCacheInvalidations = addCacheInvalidations
+ImmutableCoreModule.addMethodBind = addMethodBind
+ImmutableCoreModule.getMethodCacheKey = getMethodCacheKey
+ImmutableCoreModule.getRetryError = getRetryError
+ImmutableCoreModule.isWildcardBindTarget = isWildcardBindTarget
+ImmutableCoreModule.isValidAllowCycle = isValidAllowCycle
+ImmutableCoreModule.isValidMerge = isValidMerge
+ImmutableCoreModule.isValidTimeout = isValidTimeout
+ImmutableCoreModule.removeCacheTagKey = removeCacheTagKey
+ImmutableCoreModule.removeGlobalBind = removeGlobalBind
+ImmutableCoreModule.removeMethodBind = removeMethodBind
+ImmutableCoreModule.requireNoBindCycle = requireNoBindCycle
+
 /**
  * @function ImmutableCoreModule
  *
@@ -46,12 +102,13 @@ const detachBindTypes = {
  *
  * @param {string} moduleName
  * @param {object} options
+ * @param {object} immutable - data store of owning ImmutableCore container
  *
  * @returns {ImmutableCoreModule}
  *
  * @throws {Error}
  */
-function ImmutableCoreModule (moduleName, options) {
+function ImmutableCoreModule (moduleName, options, immutable) {
     // require name
     this.assert(typeof moduleName === 'string', 'name required')
     // require options to be an object
@@ -61,6 +118,10 @@ function ImmutableCoreModule (moduleName, options) {
         name: moduleName,
         options: options,
     }
+    // hidden data store of owning container - defaults to global singleton
+    Object.defineProperty(this.meta, 'immutable', {
+        get: () => defined(immutable) ? immutable : global.__immutable_core__,
+    })
     // hidden variable for global meta data
     var data
     // create getter/setter for global meta data on meta
@@ -75,6 +136,13 @@ function ImmutableCoreModule (moduleName, options) {
             }
         },
     })
+    // hidden function to restore data without validation for snapshots
+    Object.defineProperty(this.meta, 'restoreData', {
+        value: (newData, dataId) => {
+            data = newData
+            this.meta.dataId = dataId
+        },
+    })
     // create getter/setter for global meta data on instance
     Object.defineProperty(this, 'data', {
         get: () => data,
@@ -122,15 +190,44 @@ function assert (assertValue, message, err) {
  *
  * bindType must be one of globally defined bindTypes
  *
+ * options:
+ *
+ *     allowCycle - allow bind that creates a cycle where the target method
+ *                  will be called again by the binds of the bound method.
+ *                  may be object with maxDepth to reject calls to the bound
+ *                  method once args.session.stack has maxDepth entries,
+ *                  otherwise recursion must be limited by the bound methods.
+ *
+ *     priority - number. methods with higher priority are run first. methods
+ *                with the same priority are run in the order bound.
+ *
+ *     when - function called with args and session before calling the bound
+ *            method. bound method will only be called if it returns true.
+ *
+ *     mapArgs - function called with args that returns args for bound method
+ *
+ *     mapResult - function called with result of bound method and original
+ *                 args that returns result to be used for target method
+ *
+ *     retry - object with attempts, backoff (fixed|exponential), delay, and
+ *             retryIf for retrying detached binds that reject
+ *
+ *     timeout - ms before call to bound method rejects with TimeoutError
+ *
+ *     merge - how result of bound method is merged into args or result:
+ *             deep (default), shallow, replace, concatArrays, none, or a
+ *             function called with target, result, and context
+ *
  * @param {string} bindType
  * @param {string} methodName
  * @param {function} bindMethod
+ * @param {object} options
  *
  * @returns {undefined}
  *
  * @throws {Error}
  */
-function bind (bindType, methodName, bindMethod) {
+function bind (bindType, methodName, bindMethod, options) {
     // require valid name
     requireValidName(methodName)
     // get method
@@ -141,10 +238,31 @@ function bind (bindType, methodName, bindMethod) {
     this.assert(defined(bindTypes[bindType]), `invalid bind type ${bindType}`)
     // require valid bind method
     this.assert(typeof bindMethod === 'function' && defined(bindMethod.meta), 'invalid bind method')
-    // get immutable global data store
-    var immutable = global.__immutable_core__
-    // require immutable global to exist
-    this.assert(defined(immutable), 'global.__immutable_core__ not defined')
+    // make sure options is object
+    options = requireValidOptionalObject(options)
+    // require valid priority
+    this.assert(!defined(options.priority) || typeof options.priority === 'number', 'priority must be number')
+    // require valid option functions
+    _.each(bindFunctionOptions, optionName => {
+        this.assert(!defined(options[optionName]) || typeof options[optionName] === 'function', `${optionName} must be function`)
+    })
+    // require valid merge strategy
+    this.assert(!defined(options.merge) || isValidMerge(options.merge), `invalid merge ${options.merge}`)
+    // require valid timeout
+    this.assert(!defined(options.timeout) || isValidTimeout(options.timeout), 'timeout must be positive number')
+    // require valid retry options
+    if (defined(options.retry)) {
+        var retryError = getRetryError(bindType, options.retry)
+        this.assert(!defined(retryError), retryError)
+    }
+    // require valid allowCycle
+    this.assert(!defined(options.allowCycle) || isValidAllowCycle(options.allowCycle), 'allowCycle must be boolean or object with positive integer maxDepth')
+    // get data store for container that module belongs to
+    var immutable = this.meta.immutable
+    // require data store to exist
+    this.assert(defined(immutable), 'immutable data store not defined')
+    // throw error if bind would create cycle
+    requireNoBindCycle(immutable.binds, bindType, method.meta.signature, bindMethod.meta.signature, options)
     // create bind entry for module if it does not exist
     if (!defined(immutable.binds[this.meta.name])) {
         immutable.binds[this.meta.name] = {}
@@ -173,14 +291,11 @@ function bind (bindType, methodName, bindMethod) {
         bindTypeBinds[bindMethod.meta.signature] = {
             bound: true,
             method: bindMethod,
+            options: options,
         }
     }
-    // create bind list for method if it does not already exist
-    if (!defined(method.meta[bindType])) {
-        method.meta[bindType] = []
-    }
-    // add bind method to bind list
-    method.meta[bindType].push(bindMethod)
+    // add bind to method
+    addMethodBind(method, bindType, bindMethod, options)
 }
 
 /**
@@ -201,6 +316,22 @@ function bind (bindType, methodName, bindMethod) {
  *                 on every module method call and must return the cache key.
  *                 if not defined default key generation method will be used.
  *
+ *     invalidateOn - list of method signatures. the cache entry will be
+ *                    deleted after any of these methods resolve. entries may
+ *                    be objects with signature and params mapping key args
+ *                    to args of the invalidating method.
+ *
+ *     tags - function called with args and result when result is cached that
+ *            returns array of tags for the entry. entries can be deleted by
+ *            tag with ImmutableCore.invalidateTags.
+ *
+ *     coalesce - if true concurrent calls that miss the cache with the same
+ *                key share a single call to the method.
+ *
+ *     staleAfter - seconds after which cached value is stale. stale values
+ *                  are returned and the method is called in the background
+ *                  to refresh the entry.
+ *
  * @param {string} methodName
  * @param {string} cache
  *
@@ -221,10 +352,22 @@ function cache (methodName, cache) {
     }
     // validate cache client
     requireValidCacheClient(cache.cacheClient)
-    // get immutable global data store
-    var immutable = global.__immutable_core__
-    // require immutable global to exist
-    this.assert(defined(immutable), 'global.__immutable_core__ not defined')
+    // validate methods that invalidate cache
+    if (defined(cache.invalidateOn)) {
+        cache.invalidateOn = getValidInvalidateOn(cache.invalidateOn)
+    }
+    // require function for tags
+    if (defined(cache.tags) && typeof cache.tags !== 'function') {
+        throw new Error('cache error: tags must be function')
+    }
+    // require positive number for staleAfter
+    if (defined(cache.staleAfter) && !(typeof cache.staleAfter === 'number' && cache.staleAfter > 0)) {
+        throw new Error('cache error: staleAfter must be positive number')
+    }
+    // get data store for container that module belongs to
+    var immutable = this.meta.immutable
+    // require data store to exist
+    this.assert(defined(immutable), 'immutable data store not defined')
     // create cache entry for module if it does not exist
     if (!defined(immutable.caches[this.meta.name])) {
         immutable.caches[this.meta.name] = {}
@@ -238,6 +381,8 @@ function cache (methodName, cache) {
     if (!defined(globalCache)) {
         globalCache = moduleCaches[methodName] = cache
     }
+    // register methods that invalidate cache
+    addCacheInvalidations(immutable, method.meta.signature, cache)
     // set global cache as cached
     globalCache.cached = true
     // set cache for method
@@ -324,6 +469,10 @@ function method (methodName, method, options) {
     this.assert(allowOverride || !defined(this[methodName]), `method ${methodName} already defined`)
     // require function
     this.assert(typeof method === 'function', `function required for ${methodName}`)
+    // require valid merge strategy
+    this.assert(!defined(options.merge) || isValidMerge(options.merge), `invalid merge ${options.merge}`)
+    // require valid timeout
+    this.assert(!defined(options.timeout) || isValidTimeout(options.timeout), 'timeout must be positive number')
     // create meta data entry for function
     var methodMeta = {
         // ajv json schema validator instance
@@ -344,12 +493,20 @@ function method (methodName, method, options) {
         moduleName: this.meta.name,
         // resolve promises in args and return values
         resolve: defined(options.resolve) ? !!options.resolve : this.meta.options.resolve,
+        // set deadline on session for nested calls when timeout set
+        propagateTimeout: defined(options.propagateTimeout) ? !!options.propagateTimeout : !!this.meta.options.propagateTimeout,
+        // strategy for merging results of bound methods
+        merge: defined(options.merge) ? options.merge : this.meta.options.merge,
+        // run before and after binds one after another instead of concurrently
+        sequential: defined(options.sequential) ? !!options.sequential : !!this.meta.options.sequential,
         // json schema
         schema: defined(options.schema) ? options.schema : {},
         // method signature - ModuleName.methodName
         signature: `${this.meta.name}.${methodName}`,
         // strict mode for args only - do not require return to be promise
         strictArgs: options.strictArgs !== undefined ? options.strictArgs : this.meta.options.strictArgs,
+        // ms before call rejects with TimeoutError
+        timeout: defined(options.timeout) ? options.timeout : this.meta.options.timeout,
         // allow arg validation to be disabled
         validateArgs: defined(options.validateArgs) ? !!options.validateArgs : this.meta.options.validateArgs,
         // allow return validation to be disabled
@@ -389,6 +546,349 @@ function method (methodName, method, options) {
     return this[methodName]
 }
 
+/**
+ * @function addCacheInvalidations
+ *
+ * add signature of cached method to the invalidations store under the
+ * signature of each method in the invalidateOn list for the cache rule so
+ * that calls to those methods can delete the cached entry. throws error if
+ * cache rule has invalidateOn or tags and cache client cannot delete.
+ *
+ * @param {object} immutable - data store
+ * @param {string} signature - signature of cached method
+ * @param {object} cache - cache rule for method
+ *
+ * @returns {undefined}
+ *
+ * @throws {Error}
+ */
+function addCacheInvalidations (immutable, signature, cache) {
+    // cache client must be able to delete entries if tags are set
+    if (defined(cache.tags) && typeof cache.cacheClient.del !== 'function') {
+        throw new Error('cache error: cacheClient must provide del method for tags')
+    }
+    // do nothing if cache is not invalidated by other methods
+    if (_.isEmpty(cache.invalidateOn)) {
+        return
+    }
+    // cache client must be able to delete entries
+    if (typeof cache.cacheClient.del !== 'function') {
+        throw new Error('cache error: cacheClient must provide del method for invalidateOn')
+    }
+    // add cached method for each invalidating method
+    _.each(cache.invalidateOn, entry => {
+        // get cached methods invalidated by method
+        var signatures = immutable.invalidations[entry.signature]
+        // create entry if it does not exist
+        if (!defined(signatures)) {
+            signatures = immutable.invalidations[entry.signature] = []
+        }
+        // add signature if not already added
+        if (!_.includes(signatures, signature)) {
+            signatures.push(signature)
+        }
+    })
+}
+
+/**
+ * @function addCacheTags
+ *
+ * get tags for cached result from tags function of cache rule and add cache
+ * key to the tag index for each tag. tags from a previous result for the key
+ * are replaced. errors from the tags function are logged and ignored.
+ *
+ * keys are removed from the index when their cache entry expires and the
+ * oldest keys are removed once the index has more than maxCacheTagKeys keys.
+ *
+ * @param {object} args
+ * @param {object} methodMeta
+ * @param {string} key - cache key for result
+ * @param {any} res - cached result
+ * @param {object} moduleMeta
+ *
+ * @returns {undefined}
+ */
+function addCacheTags (args, methodMeta, key, res, moduleMeta) {
+    // get cache data from method meta data
+    var cache = methodMeta.cache
+    // do nothing if cache rule has no tags
+    if (!defined(cache.tags)) {
+        return
+    }
+    // get data store for container that module belongs to
+    var immutable = moduleMeta.immutable
+    // remove tags for previous result
+    removeCacheTagKey(immutable, key)
+    // get tags for result
+    try {
+        var tags = cache.tags(args, res)
+    }
+    // log and ignore error
+    catch (err) {
+        if (defined(methodMeta.logClient)) {
+            methodMeta.logClient.error(err, args.session)
+        }
+        return
+    }
+    // ignore invalid tags
+    if (!Array.isArray(tags)) {
+        return
+    }
+    // ignore invalid and duplicate tags
+    tags = _.uniq(_.filter(tags, _.isString))
+    // do nothing if no valid tags
+    if (tags.length === 0) {
+        return
+    }
+    // add key with cache client so entry can be deleted
+    immutable.cacheTagKeys.set(key, {
+        cacheClient: cache.cacheClient,
+        expires: cache.expire ? Date.now() + cache.expire * 1000 : undefined,
+        tags: tags,
+    })
+    // add key to index for each tag
+    _.each(tags, tag => {
+        // create entry for tag if it does not exist
+        if (!immutable.cacheTags.has(tag)) {
+            immutable.cacheTags.set(tag, new Set())
+        }
+        immutable.cacheTags.get(tag).add(key)
+    })
+    // remove oldest keys that have expired or are over limit
+    while (immutable.cacheTagKeys.size > 0) {
+        // get oldest key
+        var [oldestKey, oldest] = immutable.cacheTagKeys.entries().next().value
+        // stop once oldest key is within limit and not expired
+        if (immutable.cacheTagKeys.size <= maxCacheTagKeys && !(defined(oldest.expires) && oldest.expires <= Date.now())) {
+            break
+        }
+        removeCacheTagKey(immutable, oldestKey)
+    }
+}
+
+/**
+ * @function addDetached
+ *
+ * add detached call to the list for the container until its promise settles
+ * so that it can be waited for with drain.
+ *
+ * @param {object} moduleMeta
+ * @param {object} entry - detached call with promise
+ *
+ * @returns {undefined}
+ */
+function addDetached (moduleMeta, entry) {
+    // get list of detached calls for container
+    var detached = _.get(moduleMeta.immutable, 'detached')
+    // do not track if data store does not have list
+    if (!defined(detached)) {
+        return
+    }
+    // add entry to list
+    detached.push(entry)
+    // remove entry when call settles
+    entry.promise.finally(() => _.pull(detached, entry))
+}
+
+/**
+ * @function addMethodBind
+ *
+ * add method to bind list of target method and sort list by priority. if the
+ * method is already bound with the same bind type it will be replaced.
+ *
+ * @param {function} method - target method
+ * @param {string} bindType
+ * @param {function} bindMethod - bound method
+ * @param {object} options - bind options
+ *
+ * @returns {undefined}
+ */
+function addMethodBind (method, bindType, bindMethod, options) {
+    // get bind list for method excluding any existing bind of method
+    var methodBinds = _.filter(method.meta[bindType], boundMethod => {
+        return boundMethod.meta.signature !== bindMethod.meta.signature
+    })
+    // add bind method to bind list
+    methodBinds.push(bindMethod)
+    // store bind options for method indexed by bind type and signature
+    _.set(method.meta, ['bindOptions', bindType, bindMethod.meta.signature], options)
+    // sort bind list by priority - sort is stable so bind order is kept for
+    // methods with the same priority
+    method.meta[bindType] = _.sortBy(methodBinds, boundMethod => {
+        return -(getBindOptions(method.meta, bindType, boundMethod).priority || 0)
+    })
+}
+
+/**
+ * @function callBoundMethod
+ *
+ * call method bound to target method. if the when option is set for the bind
+ * and it does not return true the bound method will not be called and the
+ * skipped bind will be logged. if skip function is passed it will be called
+ * to get the result when the bind is skipped.
+ *
+ * if the mapArgs option is set args will be mapped before calling the bound
+ * method and if the mapResult option is set the result will be mapped before
+ * it is returned.
+ *
+ * if the timeout option is set the call will reject with a TimeoutError if it
+ * does not complete in time.
+ *
+ * if the allowCycle option has maxDepth the call will reject without calling
+ * the bound method once the session stack has maxDepth entries.
+ *
+ * @param {function} method - bound method
+ * @param {object} args - args for bound method
+ * @param {object} methodMeta - meta data of target method
+ * @param {string} bindType
+ * @param {function} skip - optional
+ *
+ * @returns {Promise}
+ */
+function callBoundMethod (method, args, methodMeta, bindType, skip) {
+    // get options for bind
+    var options = getBindOptions(methodMeta, bindType, method)
+    // get max depth for bind that is allowed to create cycle
+    var maxDepth = isObject(options.allowCycle) ? options.allowCycle.maxDepth : undefined
+    // reject without calling bound method if stack is at max depth
+    if (defined(maxDepth) && args.session.stack.length >= maxDepth) {
+        return Promise.reject(new Error(`${methodMeta.signature}: ${bindType} bind ${method.meta.signature} exceeded maxDepth ${maxDepth}`))
+    }
+    // call bound method if there is no condition
+    var ret = !defined(options.when)
+        ? callMappedMethod(method, args, methodMeta, bindType, options)
+        : callWhenMethod(method, args, methodMeta, bindType, options, skip)
+    // reject if bound method does not complete before bind timeout
+    return runTimeout(ret, options.timeout, method.meta.signature, args.session.moduleCallId)
+}
+
+/**
+ * @function callDetachedMethod
+ *
+ * call method bound with a detach bind type. errors are logged with the log
+ * client of the target method and ignored. the call is tracked in the data
+ * store for the container until it settles so that it can be waited for with
+ * drain.
+ *
+ * if the retry option is set for the bind the method will be called again
+ * after an error until the number of attempts is reached.
+ *
+ * @param {function} method - bound method
+ * @param {object} args - args for bound method
+ * @param {object} methodMeta - meta data of target method
+ * @param {string} bindType
+ * @param {object} moduleMeta - meta data of target module
+ *
+ * @returns {undefined}
+ */
+function callDetachedMethod (method, args, methodMeta, bindType, moduleMeta) {
+    // get retry options for bind
+    var retry = getBindOptions(methodMeta, bindType, method).retry
+    // call method retrying on error if retry option set
+    var call = attempt => callBoundMethod(method, args, methodMeta, bindType)
+    .catch(err => {
+        // log error and stop if there are no more attempts
+        if (!shouldRetry(retry, attempt, err)) {
+            return logDetachedError(method, args, methodMeta, bindType, err, retry, attempt)
+        }
+        // log failed attempt
+        logDetachedRetry(method, args, methodMeta, bindType, err, attempt)
+        // wait before calling method again
+        return Promise.delay(getRetryDelay(retry, attempt)).then(() => call(attempt + 1))
+    })
+    // call method and track until settled
+    addDetached(moduleMeta, {
+        bindSignature: method.meta.signature,
+        bindType: bindType,
+        promise: call(1),
+        signature: methodMeta.signature,
+        startTime: microTimestamp(),
+    })
+}
+
+/**
+ * @function callMappedMethod
+ *
+ * call bound method mapping args and result with the mapArgs and mapResult
+ * bind options if set.
+ *
+ * if args returned by mapArgs do not have a session or next function (for
+ * around binds) these will be added from the original args.
+ *
+ * @param {function} method - bound method
+ * @param {object} args - args for bound method
+ * @param {object} methodMeta - meta data of target method
+ * @param {string} bindType
+ * @param {object} options - bind options
+ *
+ * @returns {Promise}
+ */
+function callMappedMethod (method, args, methodMeta, bindType, options) {
+    // call bound method if there is no mapping
+    if (!defined(options.mapArgs) && !defined(options.mapResult)) {
+        return (method)(args, methodMeta.signature, bindType)
+    }
+    // map args - reject if it throws
+    return Promise.try(() => {
+        // use original args if no mapping
+        if (!defined(options.mapArgs)) {
+            return args
+        }
+        // get mapped args
+        var mappedArgs = options.mapArgs(args)
+        // add session and next to mapped args if not set
+        if (typeof mappedArgs === 'object' && mappedArgs !== null) {
+            mappedArgs = _.defaults({}, mappedArgs, _.pick(args, ['next', 'session']))
+        }
+        // return mapped args
+        return mappedArgs
+    })
+    // call bound method with mapped args
+    .then(mappedArgs => (method)(mappedArgs, methodMeta.signature, bindType))
+    // map result
+    .then(result => defined(options.mapResult) ? options.mapResult(result, args) : result)
+}
+
+/**
+ * @function callWhenMethod
+ *
+ * call bound method if the when option returns true for args. otherwise log
+ * skipped bind and return result of skip function if passed.
+ *
+ * @param {function} method - bound method
+ * @param {object} args - args for bound method
+ * @param {object} methodMeta - meta data of target method
+ * @param {string} bindType
+ * @param {object} options - bind options
+ * @param {function} skip - optional
+ *
+ * @returns {Promise}
+ */
+function callWhenMethod (method, args, methodMeta, bindType, options, skip) {
+    // evaluate condition - reject if it throws
+    return Promise.try(() => options.when(args, args.session))
+    .then(call => {
+        // call bound method if condition met
+        if (call === true) {
+            return callMappedMethod(method, args, methodMeta, bindType, options)
+        }
+        // log skipped bind
+        if (defined(methodMeta.logClient) && !args.session.noLogging) {
+            methodMeta.logClient.log('moduleCallBindSkip', {
+                bindSignature: method.meta.signature,
+                bindType: bindType,
+                moduleCallId: args.session.moduleCallId,
+                requestId: args.session.requestId,
+                signature: methodMeta.signature,
+            })
+        }
+        // get result for skipped bind if any
+        if (defined(skip)) {
+            return skip()
+        }
+    })
+}
+
 /**
  * @function createMethodWrapperFunction
  *
@@ -430,6 +930,8 @@ function createMethodWrapperFunction (moduleMeta, methodMeta) {
         return getValidArgs(args, bindSignature, bindType, methodMeta)
         // run before methods
         .then(args => {
+            // reject without starting call if session signal already aborted
+            requireNotAborted(args, methodMeta)
             // log module call
             logCall(args, methodMeta)
             // if this method is bound to another add info to stack
@@ -438,33 +940,46 @@ function createMethodWrapperFunction (moduleMeta, methodMeta) {
                 : methodMeta.signature
             // add current call to stack after logging
             args.session.stack.push(stack)
+            // get timeout for call and set deadline on session
+            var timeout = getCallTimeout(args, methodMeta)
             // run any beforeDetach extensions
-            runBeforeDetach(args, methodMeta)
+            runBeforeDetach(args, methodMeta, moduleMeta)
             // run any before extensions
-            return runBefore(args, methodMeta)
-        })
-        // call target function with potentially modified args
-        .then(args => {
-            // validate args after before methods execute
-            validateArgs(args, methodMeta)
-            // run any withDetach extensions
-            runWithDetach(args, methodMeta)
-            // run any with extensions
-            var runWith = runWithBefore(args, methodMeta)
-            // get return value for method call with optional caching
-            var ret = methodMeta.cache
-                // method call should be cached
-                ? runCached(args, methodMeta)
-                // method call should not be cached
-                : runNotCached(args, methodMeta)
-            // if there are any with exensions merge them in
-            if (defined(runWith)) {
-                ret = runWithAfter(ret, runWith)
-            }
-            // run any afterDetach extensions
-            runAfterDetach(args, methodMeta, ret)
-            // run any after extensions
-            ret = runAfter(args, methodMeta, ret)
+            var ret = runBefore(args, methodMeta)
+            // call target function with potentially modified args
+            .then(args => {
+                // do not call target if aborted while before methods ran
+                requireNotAborted(args, methodMeta)
+                // validate args after before methods execute
+                validateArgs(args, methodMeta)
+                // run any withDetach extensions
+                runWithDetach(args, methodMeta, moduleMeta)
+                // run any with extensions
+                var runWith = runWithBefore(args, methodMeta)
+                // get return value for method call with optional caching and
+                // around extensions
+                var ret = runAround(args, methodMeta, moduleMeta)
+                // if there are any with exensions merge them in
+                if (defined(runWith)) {
+                    ret = runWithAfter(ret, runWith, args, methodMeta)
+                }
+                // run any afterDetach extensions
+                runAfterDetach(args, methodMeta, ret, moduleMeta)
+                // run any after extensions
+                ret = runAfter(args, methodMeta, ret)
+                // run any onErrorDetach extensions
+                runOnErrorDetach(args, methodMeta, ret, moduleMeta)
+                // run any onError extensions
+                ret = runOnError(args, methodMeta, ret)
+                // run any finallyDetach extensions
+                runFinallyDetach(args, methodMeta, ret, moduleMeta)
+                // run any finally extensions
+                ret = runFinally(args, methodMeta, ret)
+                // delete cached entries invalidated by method
+                return runInvalidate(args, methodMeta, ret, moduleMeta)
+            })
+            // reject if call does not complete before timeout
+            ret = runTimeout(ret, timeout, methodMeta.signature, args.session.moduleCallId)
             // inject logger into promise chain
             ret = logReturn(args, methodMeta, ret)
             // resolve with promise chain
@@ -477,6 +992,100 @@ function createMethodWrapperFunction (moduleMeta, methodMeta) {
     return methodWrapperFunction
 }
 
+/**
+ * @function finallyMethodArgs
+ *
+ * build args for finally methods from method args and inspection of the
+ * settled method promise.
+ *
+ * @param {object} args
+ * @param {PromiseInspection} inspection
+ *
+ * @returns {object}
+ */
+function finallyMethodArgs (args, inspection) {
+    // resolved flag is always set
+    var finallyArgs = {
+        args: args,
+        resolved: inspection.isFulfilled(),
+        session: args.session,
+    }
+    // add result or error
+    if (finallyArgs.resolved) {
+        finallyArgs.res = inspection.value()
+    }
+    else {
+        finallyArgs.error = inspection.reason()
+    }
+    // return args
+    return finallyArgs
+}
+
+/**
+ * @function freezeArgs
+ *
+ * clone args to prevent leaking frozen objects and recursively freeze all
+ * objects in the clone. the abort signal on the session cannot be cloned so
+ * it is taken off before cloning and put back on the frozen session without
+ * being frozen so that the caller can still abort it.
+ *
+ * @param {object} args
+ *
+ * @returns {object}
+ */
+function freezeArgs (args) {
+    // get signal from session
+    var signal = isObject(args.session) ? args.session.signal : undefined
+    // clone and freeze args if there is no signal
+    if (!defined(signal)) {
+        return deepFreeze(_.cloneDeep(args))
+    }
+    // clone args without signal
+    args = _.cloneDeep(_.assign({}, args, {session: _.omit(args.session, 'signal')}))
+    // freeze session values
+    _.each(args.session, value => {
+        if (isObject(value) || typeof value === 'function') {
+            deepFreeze(value)
+        }
+    })
+    // put original signal back on session and freeze session
+    args.session.signal = signal
+    Object.freeze(args.session)
+    // recursively freeze args - session is already frozen so it is skipped
+    return deepFreeze(args)
+}
+
+/**
+ * @function getCallTimeout
+ *
+ * get ms until method call times out using the timeout for the method or
+ * the time remaining until the deadline set on the session, whichever is
+ * less. if the propagateTimeout option is set the deadline for the call will
+ * be set on the session so that it applies to nested calls.
+ *
+ * @param {object} args
+ * @param {object} methodMeta
+ *
+ * @returns {number|undefined}
+ */
+function getCallTimeout (args, methodMeta) {
+    // get timeout for method
+    var timeout = methodMeta.timeout
+    // use time remaining until deadline if less
+    if (defined(args.session.deadline)) {
+        var remaining = Math.max(args.session.deadline - Date.now(), 0)
+        if (!defined(timeout) || remaining < timeout) {
+            timeout = remaining
+        }
+    }
+    // set deadline for nested calls
+    if (defined(timeout) && methodMeta.propagateTimeout) {
+        args.session.deadline = Date.now() + timeout
+    }
+    // return timeout
+    return timeout
+}
+
 /**
  * @function getCacheKey
  *
@@ -509,54 +1118,197 @@ function getCacheKey (args, methodMeta) {
 }
 
 /**
- * @function getValidArgs
+ * @function getBindOptions
  *
- * validate method args, throw error on invalid args in strict mode, or create
- * data needed to continue.
+ * get options for method bound to method with bind type
  *
- * @param {object} args
- * @param {string} bindSignature
+ * @param {object} methodMeta - meta data of target method
  * @param {string} bindType
- * @param {object} methodMeta
+ * @param {function} boundMethod
  *
  * @returns {object}
+ */
+function getBindOptions (methodMeta, bindType, boundMethod) {
+    var options = _.get(methodMeta.bindOptions, [bindType, boundMethod.meta.signature])
+    // return empty object if no options
+    return defined(options) ? options : {}
+}
+
+/**
+ * @function getInvalidateArgs
  *
- * @throws (Error)
+ * get args for building the cache key of a cached method from the args of a
+ * method that invalidates it. if params are set for the invalidateOn entry
+ * then each key arg is taken from its path in args, otherwise the keyParams
+ * for the cache rule, or all args, are used.
+ *
+ * @param {object} args - args of invalidating method
+ * @param {object} cache - cache rule of cached method
+ * @param {object} entry - invalidateOn entry
+ *
+ * @returns {object}
  */
-function getValidArgs (args, bindSignature, bindType, methodMeta) {
-    // require object for args
-    if (!args || typeof args !== 'object') {
-        // throw exception in strict mode
-        if (methodMeta.strictArgs) {
-            return Promise.reject(new Error(`${methodMeta.signature}: invalid args - ${typeof args}`))
-        }
-        // otherwise create new object for args
-        else {
-            args = {}
-        }
-    }
-    // require session
-    if (!args.session || typeof args.session !== 'object') {
-        // throw exception in strict mode
-        if (methodMeta.strictArgs) {
-            return Promise.reject(new Error(`${methodMeta.signature}: invalid session - ${typeof args.session}`))
-        }
-        // otherwise create new object for args
-        else {
-            args.session = {}
-        }
-    }
-    // shallow clone args
-    args = _.clone(args)
-    // shallow clone session so that multiple async calls do not overwrite values
-    args.session = _.clone(args.session)
-    // create stack if it does not exist
-    if (!args.session.stack) {
-        args.session.stack = []
-    }
-    // otherwise clone stack
-    else {
-        args.session.stack = _.clone(args.session.stack)
+function getInvalidateArgs (args, cache, entry) {
+    var invalidateArgs = defined(entry.params)
+        // map key args from args of invalidating method
+        ? _.mapValues(entry.params, path => _.get(args, path))
+        // use the same args as cached method
+        : defined(cache.keyParams) ? _.pick(args, cache.keyParams) : _.omit(args, 'session')
+    // use session from invalidating method
+    invalidateArgs.session = args.session
+    // return args
+    return invalidateArgs
+}
+
+/**
+ * @function getMerge
+ *
+ * get merge strategy for method bound to method from bind options or from
+ * method options if not set for bind. the method merge option is not used for
+ * onError binds so that a recovered result always replaces the error unless
+ * the merge option is set for the bind.
+ *
+ * @param {object} methodMeta - meta data of target method
+ * @param {string} bindType
+ * @param {function} boundMethod
+ *
+ * @returns {string|function|undefined}
+ */
+function getMerge (methodMeta, bindType, boundMethod) {
+    var merge = getBindOptions(methodMeta, bindType, boundMethod).merge
+    // only use merge set for bind for onError
+    if (bindType === 'onError') {
+        return merge
+    }
+    // use method merge if not set for bind
+    return defined(merge) ? merge : methodMeta.merge
+}
+
+/**
+ * @function getMethodCacheKey
+ *
+ * get cache key for method call using keyMethod from cache rule if defined
+ * or default key generation method
+ *
+ * @param {object} args
+ * @param {object} methodMeta
+ *
+ * @returns {string}
+ */
+function getMethodCacheKey (args, methodMeta) {
+    return methodMeta.cache.keyMethod
+        // call custom key generation method if defined
+        ? (methodMeta.cache.keyMethod)(args, methodMeta)
+        // use default key generation method
+        : getCacheKey(args, methodMeta)
+}
+
+/**
+ * @function getRetryDelay
+ *
+ * get ms to wait before next attempt. with exponential backoff the delay is
+ * doubled after each attempt.
+ *
+ * @param {object} retry - retry options
+ * @param {integer} attempt - number of attempt that failed
+ *
+ * @returns {number}
+ */
+function getRetryDelay (retry, attempt) {
+    // default to no delay
+    var delay = defined(retry.delay) ? retry.delay : 0
+    // double delay for each attempt
+    return retry.backoff === 'exponential'
+        ? delay * Math.pow(2, attempt - 1)
+        : delay
+}
+
+/**
+ * @function getRetryError
+ *
+ * validate retry bind option. returns error message if invalid.
+ *
+ * @param {string} bindType
+ * @param {object} retry - retry options
+ *
+ * @returns {string|undefined}
+ */
+function getRetryError (bindType, retry) {
+    // retry only allowed for detached binds
+    if (!detachBindTypes[bindType]) {
+        return `retry not allowed for ${bindType}`
+    }
+    // require object
+    if (typeof retry !== 'object' || retry === null) {
+        return 'retry must be object'
+    }
+    // require positive integer attempts
+    if (!Number.isInteger(retry.attempts) || retry.attempts < 1) {
+        return 'retry attempts must be positive integer'
+    }
+    // require valid backoff
+    if (defined(retry.backoff) && retry.backoff !== 'fixed' && retry.backoff !== 'exponential') {
+        return `invalid retry backoff ${retry.backoff}`
+    }
+    // require non-negative delay
+    if (defined(retry.delay) && !(typeof retry.delay === 'number' && retry.delay >= 0)) {
+        return 'retry delay must be non-negative number'
+    }
+    // require function for retryIf
+    if (defined(retry.retryIf) && typeof retry.retryIf !== 'function') {
+        return 'retry retryIf must be function'
+    }
+}
+
+/**
+ * @function getValidArgs
+ *
+ * validate method args, throw error on invalid args in strict mode, or create
+ * data needed to continue.
+ *
+ * @param {object} args
+ * @param {string} bindSignature
+ * @param {string} bindType
+ * @param {object} methodMeta
+ *
+ * @returns {object}
+ *
+ * @throws (Error)
+ */
+function getValidArgs (args, bindSignature, bindType, methodMeta) {
+    // require object for args
+    if (!args || typeof args !== 'object') {
+        // throw exception in strict mode
+        if (methodMeta.strictArgs) {
+            return Promise.reject(new Error(`${methodMeta.signature}: invalid args - ${typeof args}`))
+        }
+        // otherwise create new object for args
+        else {
+            args = {}
+        }
+    }
+    // require session
+    if (!args.session || typeof args.session !== 'object') {
+        // throw exception in strict mode
+        if (methodMeta.strictArgs) {
+            return Promise.reject(new Error(`${methodMeta.signature}: invalid session - ${typeof args.session}`))
+        }
+        // otherwise create new object for args
+        else {
+            args.session = {}
+        }
+    }
+    // shallow clone args
+    args = _.clone(args)
+    // shallow clone session so that multiple async calls do not overwrite values
+    args.session = _.clone(args.session)
+    // create stack if it does not exist
+    if (!args.session.stack) {
+        args.session.stack = []
+    }
+    // otherwise clone stack
+    else {
+        args.session.stack = _.clone(args.session.stack)
     }
     // generate random unique id
     var uniqueId = randomUniqueId()
@@ -575,6 +1327,109 @@ function getValidArgs (args, bindSignature, bindType, methodMeta) {
     }
 }
 
+/**
+ * @function isMergeable
+ *
+ * check if value is an array or plain object that can be merged
+ *
+ * @param {any} value
+ *
+ * @returns {boolean}
+ */
+function isMergeable (value) {
+    return Array.isArray(value) || _.isPlainObject(value)
+}
+
+/**
+ * @function isObject
+ *
+ * check if value is a non-null object
+ *
+ * @param {any} value
+ *
+ * @returns {boolean}
+ */
+function isObject (value) {
+    return typeof value === 'object' && value !== null
+}
+
+/**
+ * @function isStaleEntry
+ *
+ * check if value from cache is an entry stored with staleAfter
+ *
+ * @param {any} value
+ *
+ * @returns {boolean}
+ */
+function isStaleEntry (value) {
+    return isObject(value) && typeof value.staleAt === 'number' && _.has(value, 'value')
+}
+
+/**
+ * @function isValidAllowCycle
+ *
+ * check if allowCycle option is boolean or object with positive integer
+ * maxDepth
+ *
+ * @param {boolean|object} allowCycle
+ *
+ * @returns {boolean}
+ */
+function isValidAllowCycle (allowCycle) {
+    return typeof allowCycle === 'boolean'
+        || (isObject(allowCycle) && Number.isInteger(allowCycle.maxDepth) && allowCycle.maxDepth > 0)
+}
+
+/**
+ * @function isValidMerge
+ *
+ * check if merge option is valid merge strategy name or function
+ *
+ * @param {string|function} merge
+ *
+ * @returns {boolean}
+ */
+function isValidMerge (merge) {
+    return typeof merge === 'function' || mergeStrategies[merge] === true
+}
+
+/**
+ * @function isValidTimeout
+ *
+ * check if timeout is positive number
+ *
+ * @param {number} timeout
+ *
+ * @returns {boolean}
+ */
+function isValidTimeout (timeout) {
+    return typeof timeout === 'number' && timeout > 0
+}
+
+/**
+ * @function isWildcardBindTarget
+ *
+ * check if method bound with wildcard signature pattern should be bound to
+ * the method identified by signature. methods are never bound to themselves
+ * with a wildcard and methods matching any of the patterns in the exclude
+ * option are not bound.
+ *
+ * @param {string} pattern - signature pattern bound to
+ * @param {string} signature - target method signature
+ * @param {string} bindSignature - bound method signature
+ * @param {object} options - bind options
+ *
+ * @returns {boolean}
+ */
+function isWildcardBindTarget (pattern, signature, bindSignature, options) {
+    return matchSignature(pattern, signature)
+        // do not bind method to itself
+        && signature !== bindSignature
+        // do not bind to excluded methods
+        && !_.some(options.exclude, exclude => matchSignature(exclude, signature))
+}
+
 /**
  * @function logCall
  *
@@ -606,6 +1461,109 @@ function logCall (args, methodMeta) {
     })
 }
 
+/**
+ * @function logDetachedError
+ *
+ * log error from detached bound method with the error method of the log
+ * client. if the retry option is set the final failure will also be logged
+ * with the number of attempts made.
+ *
+ * @param {function} method - bound method
+ * @param {object} args - args for bound method
+ * @param {object} methodMeta - meta data of target method
+ * @param {string} bindType
+ * @param {Error} err
+ * @param {object} retry - retry options
+ * @param {integer} attempt - number of attempts made
+ *
+ * @returns {undefined}
+ */
+function logDetachedError (method, args, methodMeta, bindType, err, retry, attempt) {
+    // require log client
+    if (!defined(methodMeta.logClient)) {
+        return
+    }
+    // log final failure if method was retried
+    if (defined(retry) && !args.session.noLogging) {
+        methodMeta.logClient.log('moduleCallBindFail', {
+            attempts: attempt,
+            bindSignature: method.meta.signature,
+            bindType: bindType,
+            error: err,
+            moduleCallId: args.session.moduleCallId,
+            requestId: args.session.requestId,
+            signature: methodMeta.signature,
+        })
+    }
+    // log error
+    methodMeta.logClient.error(err, args.session)
+}
+
+/**
+ * @function logDetachedRetry
+ *
+ * log failed attempt to call detached bound method that will be retried.
+ *
+ * @param {function} method - bound method
+ * @param {object} args - args for bound method
+ * @param {object} methodMeta - meta data of target method
+ * @param {string} bindType
+ * @param {Error} err
+ * @param {integer} attempt - number of attempt that failed
+ *
+ * @returns {undefined}
+ */
+function logDetachedRetry (method, args, methodMeta, bindType, err, attempt) {
+    // require log client
+    if (!defined(methodMeta.logClient)) {
+        return
+    }
+    // do not log if noLogging flag is set on session
+    if (args.session.noLogging) {
+        return
+    }
+    // log failed attempt
+    methodMeta.logClient.log('moduleCallBindRetry', {
+        attempt: attempt,
+        bindSignature: method.meta.signature,
+        bindType: bindType,
+        error: err,
+        moduleCallId: args.session.moduleCallId,
+        requestId: args.session.requestId,
+        signature: methodMeta.signature,
+    })
+}
+
+/**
+ * @function logError
+ *
+ * log error that may be recovered from by onError extensions. the final
+ * result of the method call will be logged by logReturn.
+ *
+ * @param {object} args
+ * @param {object} methodMeta
+ * @param {Error} err
+ *
+ * @returns {undefined}
+ */
+function logError (args, methodMeta, err) {
+    // require log client
+    if (!methodMeta.logClient) {
+        return
+    }
+    // do not log if noLogging flag is set on session
+    if (args.session.noLogging) {
+        return
+    }
+    // log error
+    methodMeta.logClient.log('moduleCallError', {
+        moduleCallErrorCreateTime: microTimestamp(),
+        moduleCallErrorData: err,
+        moduleCallId: args.session.moduleCallId,
+        requestId: args.session.requestId,
+    })
+}
+
 /**
  * @function logReturn
  *
@@ -658,6 +1616,353 @@ function logReturn (args, methodMeta, ret) {
     })
 }
 
+/**
+ * @function mergeBeforeResult
+ *
+ * merge result from before method into args. results that are not objects
+ * are ignored unless a custom merge function is used. the session from the
+ * original args is always kept.
+ *
+ * @param {object} args
+ * @param {any} result
+ * @param {object} methodMeta - meta data of target method
+ * @param {function} method - bound method
+ *
+ * @returns {object}
+ */
+function mergeBeforeResult (args, result, methodMeta, method) {
+    // ignore results that are not objects unless merge function is used
+    if (!isObject(result) && typeof getMerge(methodMeta, 'before', method) !== 'function') {
+        return args
+    }
+    // get merged args
+    var merged = mergeBindResult(args, result, methodMeta, 'before', method, args.session)
+    // keep original args if merge did not return object
+    if (!isObject(merged)) {
+        return args
+    }
+    // keep original session
+    merged.session = args.session
+    // return merged args
+    return merged
+}
+
+/**
+ * @function mergeBindResult
+ *
+ * merge result from bound method into target using the merge option for the
+ * bind or the merge option for the method. default is deep merge.
+ *
+ * custom merge functions are called with the target, the result, and a
+ * context object with the bindSignature, bindType, session and signature.
+ *
+ * @param {any} target
+ * @param {any} result
+ * @param {object} methodMeta - meta data of target method
+ * @param {string} bindType
+ * @param {function} method - bound method
+ * @param {object} session
+ *
+ * @returns {any}
+ */
+function mergeBindResult (target, result, methodMeta, bindType, method, session) {
+    // get merge strategy
+    var merge = getMerge(methodMeta, bindType, method)
+    // call custom merge function
+    if (typeof merge === 'function') {
+        return merge(target, result, {
+            bindSignature: method.meta.signature,
+            bindType: bindType,
+            session: session,
+            signature: methodMeta.signature,
+        })
+    }
+    // merge result
+    return mergeResult(target, result, merge)
+}
+
+/**
+ * @function mergeDeep
+ *
+ * recursively merge source into target. arrays and plain objects are merged
+ * by key and undefined values are skipped. __proto__ keys are never merged.
+ * constructor and prototype keys are skipped if the value is a function and
+ * inherited values for them are never merged into so they are set as own
+ * properties of the target.
+ *
+ * if concatArrays is set arrays will be concatenated instead of merged.
+ *
+ * @param {object} target
+ * @param {object} source
+ * @param {boolean} concatArrays
+ *
+ * @returns {object}
+ */
+function mergeDeep (target, source, concatArrays) {
+    // merge each own enumerable property
+    _.each(_.keys(source), key => {
+        // never merge __proto__
+        if (key === '__proto__') {
+            return
+        }
+        var sourceValue = source[key]
+        var targetValue = target[key]
+        // constructor and prototype keys could modify prototype
+        if (_.includes(unsafeMergeKeys, key)) {
+            // skip functions
+            if (typeof sourceValue === 'function') {
+                return
+            }
+            // do not merge into inherited value
+            if (!_.has(target, key)) {
+                targetValue = undefined
+            }
+        }
+        // concatenate arrays
+        if (concatArrays && Array.isArray(targetValue) && Array.isArray(sourceValue)) {
+            target[key] = targetValue.concat(sourceValue)
+        }
+        // merge arrays and plain objects into objects of the same type
+        else if (isObject(targetValue) && isMergeable(sourceValue) && Array.isArray(targetValue) === Array.isArray(sourceValue)) {
+            mergeDeep(targetValue, sourceValue, concatArrays)
+        }
+        // copy arrays and objects so that source is not modified later
+        else if (isMergeable(sourceValue)) {
+            target[key] = mergeDeep(Array.isArray(sourceValue) ? [] : {}, sourceValue, concatArrays)
+        }
+        // set other values unless undefined
+        else if (sourceValue !== undefined) {
+            target[key] = sourceValue
+        }
+    })
+    // return merged target
+    return target
+}
+
+/**
+ * @function mergeResult
+ *
+ * merge result from after or with method into method result. if both are
+ * objects result is merged into original, otherwise result replaces original
+ * unless it is undefined.
+ *
+ * merge may be deep (default), shallow, concatArrays, replace, or none.
+ *
+ * @param {any} res
+ * @param {any} result
+ * @param {string} merge
+ *
+ * @returns {any}
+ */
+function mergeResult (res, result, merge) {
+    // ignore result
+    if (merge === 'none' || result === undefined) {
+        return res
+    }
+    // replace original unless both are objects
+    if (merge === 'replace' || !isObject(res) || !isObject(result)) {
+        return result
+    }
+    // merge top level properties only
+    if (merge === 'shallow') {
+        return _.assign(res, result)
+    }
+    // concatenate arrays
+    if (merge === 'concatArrays' && Array.isArray(res) && Array.isArray(result)) {
+        return res.concat(result)
+    }
+    // deep merge
+    return mergeDeep(res, result, merge === 'concatArrays')
+}
+
+/**
+ * @function removeCacheTagKey
+ *
+ * remove cache key from the tag index for all of its tags. tags with no keys
+ * are removed from the index.
+ *
+ * @param {object} immutable - data store
+ * @param {string} key - cache key
+ *
+ * @returns {object|undefined} - removed entry with cacheClient and tags
+ */
+function removeCacheTagKey (immutable, key) {
+    // get entry for key
+    var entry = immutable.cacheTagKeys.get(key)
+    // do nothing if key not indexed
+    if (!defined(entry)) {
+        return
+    }
+    // remove key
+    immutable.cacheTagKeys.delete(key)
+    // remove key from each tag
+    _.each(entry.tags, tag => {
+        var tagKeys = immutable.cacheTags.get(tag)
+        // skip if tag already removed
+        if (!defined(tagKeys)) {
+            return
+        }
+        tagKeys.delete(key)
+        // remove tag with no keys
+        if (tagKeys.size === 0) {
+            immutable.cacheTags.delete(tag)
+        }
+    })
+    // return removed entry
+    return entry
+}
+
+/**
+ * @function removeGlobalBind
+ *
+ * remove bind from global bind store and clean up any bind entries that are
+ * left empty.
+ *
+ * @param {object} binds
+ * @param {string} moduleName
+ * @param {string} methodName
+ * @param {string} bindType
+ * @param {string} bindSignature
+ *
+ * @returns {undefined}
+ */
+function removeGlobalBind (binds, moduleName, methodName, bindType, bindSignature) {
+    // get path to bind entry
+    var path = [moduleName, methodName, bindType]
+    // remove bind entry
+    _.unset(binds, path.concat(bindSignature))
+    // remove empty entries working up from bind type to module
+    while (path.length > 0 && _.isEmpty(_.get(binds, path))) {
+        _.unset(binds, path)
+        path.pop()
+    }
+}
+
+/**
+ * @function removeMethodBind
+ *
+ * remove method from bind list of target method along with its bind options.
+ *
+ * @param {function} method - target method
+ * @param {string} bindType
+ * @param {function} bindMethod - bound method
+ *
+ * @returns {boolean} - false if method was not bound
+ */
+function removeMethodBind (method, bindType, bindMethod) {
+    // get bind list for method
+    var methodBinds = method.meta[bindType]
+    // get index of bound method in list
+    var index = _.findIndex(methodBinds, boundMethod => boundMethod.meta.signature === bindMethod.meta.signature)
+    // method is not bound
+    if (index === -1) {
+        return false
+    }
+    // remove bound method from list
+    methodBinds.splice(index, 1)
+    // remove bind list if empty
+    if (methodBinds.length === 0) {
+        delete method.meta[bindType]
+    }
+    // remove bind options
+    _.unset(method.meta.bindOptions, [bindType, bindMethod.meta.signature])
+    // method was bound
+    return true
+}
+
+/**
+ * @function requireNoBindCycle
+ *
+ * throw error if binding method identified by bindSignature to the method
+ * identified by signature would create a cycle. a cycle exists if the target
+ * method can be reached by following binds from the bound method. binds of
+ * all types are followed, including binds to methods not yet defined and
+ * binds to wildcard signature patterns.
+ *
+ * if signature is a wildcard pattern then a cycle exists if any method that
+ * the pattern would be bound to can be reached.
+ *
+ * no check is done if the allowCycle option is set.
+ *
+ * @param {object} binds - global bind store
+ * @param {string} bindType
+ * @param {string} signature - target method signature
+ * @param {string} bindSignature - bound method signature
+ * @param {object} options - bind options
+ *
+ * @returns {undefined}
+ *
+ * @throws {Error}
+ */
+function requireNoBindCycle (binds, bindType, signature, bindSignature, options) {
+    // skip check if cycles allowed
+    if (options.allowCycle) {
+        return
+    }
+    // check if method is target - wildcard patterns may match many methods
+    var isTarget = signature.includes('*')
+        ? current => isWildcardBindTarget(signature, current, bindSignature, options)
+        : current => current === signature
+    // signatures that have already been searched
+    var visited = {}
+    // depth first search for path from bound method back to target
+    var search = path => {
+        var current = _.last(path)
+        // path leads back to target
+        if (isTarget(current)) {
+            return path
+        }
+        // do not search the same method twice
+        if (visited[current]) {
+            return
+        }
+        visited[current] = true
+        // search each method bound to current method or a pattern matching it
+        var found
+        _.each(getSignaturePatterns(current), pattern => {
+            _.each(_.get(binds, pattern.split('.')), bindTypeBinds => {
+                _.each(bindTypeBinds, (bind, nextSignature) => {
+                    // skip wildcard binds that do not apply to current method
+                    if (pattern !== current && !isWildcardBindTarget(pattern, current, nextSignature, bind.options)) {
+                        return
+                    }
+                    found = search(path.concat(nextSignature))
+                    // stop iterating once cycle found
+                    return !defined(found)
+                })
+                return !defined(found)
+            })
+            return !defined(found)
+        })
+        return found
+    }
+    // search for path from bound method to target method
+    var path = search([bindSignature])
+    // throw error if cycle found
+    if (defined(path)) {
+        throw new Error(`bind error: binding ${bindSignature} ${bindType} ${signature} creates cycle ${[signature].concat(path).join(' -> ')}`)
+    }
+}
+
+/**
+ * @function requireNotAborted
+ *
+ * throw AbortError if session has an AbortSignal that has been aborted
+ *
+ * @param {object} args
+ * @param {object} methodMeta
+ *
+ * @throws {AbortError}
+ */
+function requireNotAborted (args, methodMeta) {
+    // get signal from session
+    var signal = args.session.signal
+    // throw error if signal aborted
+    if (defined(signal) && signal.aborted) {
+        throw new AbortError(methodMeta.signature, args.session.moduleCallId, signal.reason)
+    }
+}
+
 /**
  * @function runAfter
  *
@@ -666,6 +1971,9 @@ function logReturn (args, methodMeta, ret) {
  *
  * any data returned by extensions will be merged into the parent return data.
  *
+ * if the sequential option is set methods will be run one after another and
+ * each will receive the result with the results of previous methods merged in.
+ *
  * @param {object} args
  * @param {object} methodMeta
  * @param {object} ret
@@ -679,34 +1987,43 @@ function runAfter (args, methodMeta, ret) {
     }
     // after original promise resolves then run after methods
     return ret.then(res => {
+        // do not run after methods if aborted while method ran
+        requireNotAborted(args, methodMeta)
         // build arguments for after methods
-        args = {
+        var afterArgs = res => ({
             args: defined(args.args) ? args.args : args,
             res: res,
             origRes: defined(args.origRes) ? args.origRes : args.res,
             session: args.session,
+        })
+        // run after methods one at a time with result of previous
+        if (methodMeta.sequential) {
+            return Promise.each(methodMeta.after, method => {
+                // stop if aborted while previous method ran
+                requireNotAborted(args, methodMeta)
+                return callBoundMethod(method, afterArgs(res), methodMeta, 'after')
+                // merge result before calling next method
+                .then(result => {
+                    res = mergeBindResult(res, result, methodMeta, 'after', method, args.session)
+                })
+            })
+            // return final result
+            .then(() => res)
         }
+        // get after methods in case binds change before results are merged
+        var methods = methodMeta.after
         // wait for all extension methods to complete
         return Promise.all(
             // run all after methods in order making sure they return promise
-            _.map(methodMeta.after, method => {
-                return (method)(args, methodMeta.signature, 'after')
+            _.map(methods, method => {
+                return callBoundMethod(method, afterArgs(res), methodMeta, 'after')
             })
         )
         // merge returned data into original
         .then(function (results) {
             // either merge or replace result
-            _.each(results, result => {
-                // both original res and after result are objects
-                if (typeof res === 'object' && res !== null && typeof result === 'object' && result !== null) {
-                    // merge after into original
-                    _.merge(res, result)
-                }
-                // one is not an object
-                else if (result !== undefined) {
-                    // replace original with after
-                    res = result
-                }
+            _.each(results, (result, i) => {
+                res = mergeBindResult(res, result, methodMeta, 'after', methods[i], args.session)
             })
             // return final result
             return res
@@ -723,10 +2040,11 @@ function runAfter (args, methodMeta, ret) {
  * @param {object} args
  * @param {object} methodMeta
  * @param {object} ret
+ * @param {object} moduleMeta
  *
  * @returns {undefined}
  */
-function runAfterDetach (args, methodMeta, ret) {
+function runAfterDetach (args, methodMeta, ret, moduleMeta) {
     // skip if no afterDetach methods
     if (!defined(methodMeta.afterDetach)) {
         return
@@ -742,21 +2060,63 @@ function runAfterDetach (args, methodMeta, ret) {
         }
         // run all functions
         _.each(methodMeta.afterDetach, method => {
-            // call method
-            (method)(args, methodMeta.signature, 'afterDetach')
-            // log errors
-            .catch(err => {
-                // require log client
-                if (!defined(methodMeta.logClient)) {
-                    return
-                }
-                // log error
-                methodMeta.logClient.error(err, args.session)
-            })
+            // call method and log errors
+            callDetachedMethod(method, args, methodMeta, 'afterDetach', moduleMeta)
         })
     })
 }
 
+/**
+ * @function runAround
+ *
+ * call method with optional caching wrapped by any around extensions. each
+ * around method is called with the args and a next function that calls the
+ * next around method or the method itself. the first around method bound is
+ * the outermost unless priorities are set.
+ *
+ * next may be called with new args. the session from the original args is
+ * always used.
+ *
+ * @param {object} args
+ * @param {object} methodMeta
+ * @param {object} moduleMeta
+ *
+ * @returns {Promise}
+ */
+function runAround (args, methodMeta, moduleMeta) {
+    // call method with optional caching
+    var call = args => Promise.try(() => {
+        // do not call target if aborted while around methods ran
+        requireNotAborted(args, methodMeta)
+        // method call should be cached
+        return methodMeta.cache
+            ? runCached(args, methodMeta, moduleMeta)
+            // method call should not be cached
+            : runNotCached(args, methodMeta, moduleMeta)
+    })
+    // call method directly if no around extensions
+    if (!defined(methodMeta.around)) {
+        return call(args)
+    }
+    // build chain of around methods starting from innermost
+    var chain = _.reduceRight(methodMeta.around, (next, method) => {
+        return args => {
+            // build next function for around method
+            var nextFunction = nextArgs => Promise.try(() => next(
+                defined(nextArgs)
+                    // use new args with session from original args
+                    ? _.assign(_.omit(nextArgs, 'next'), {session: args.session})
+                    // use original args
+                    : args
+            ))
+            // call around method - call next if bind is skipped
+            return callBoundMethod(method, _.assign({}, args, {next: nextFunction}), methodMeta, 'around', nextFunction)
+        }
+    }, call)
+    // call chain
+    return chain(args)
+}
+
 /**
  * @function runBefore
  *
@@ -764,6 +2124,9 @@ function runAfterDetach (args, methodMeta, ret) {
  * parent method call will reject. any return values from before methods are
  * merged into the original args before calling the parent method.
  *
+ * if the sequential option is set methods will be run one after another and
+ * each will receive the args with the results of previous methods merged in.
+ *
  * @param {object} args
  * @param {object} methodMeta
  *
@@ -774,20 +2137,34 @@ function runBefore (args, methodMeta) {
     if (!defined(methodMeta.before)) {
         return Promise.resolve(args)
     }
+    // run before methods one at a time with args merged from previous
+    if (methodMeta.sequential) {
+        return Promise.each(methodMeta.before, method => {
+            // stop if aborted while previous method ran
+            requireNotAborted(args, methodMeta)
+            return callBoundMethod(method, args, methodMeta, 'before')
+            // merge result into args before calling next method
+            .then(result => {
+                args = mergeBeforeResult(args, result, methodMeta, method)
+            })
+        })
+        // resolve with merged result
+        .then(() => args)
+    }
+    // get before methods in case binds change before results are merged
+    var methods = methodMeta.before
     // wait for all extension methods to complete
     return Promise.all(
         // run all before methods in order making sure they return promise
-        _.map(methodMeta.before, method => {
-            return (method)(args, methodMeta.signature, 'before')
+        _.map(methods, method => {
+            return callBoundMethod(method, args, methodMeta, 'before')
         })
     )
     // merge return values in args
     .then(results => {
         // merge each result into original args
-        _.each(results, result => {
-            if (typeof result === 'object' && result !== null) {
-                _.merge(args, result)
-            }
+        _.each(results, (result, i) => {
+            args = mergeBeforeResult(args, result, methodMeta, methods[i])
         })
         // resolve with merged result
         return args
@@ -802,27 +2179,132 @@ function runBefore (args, methodMeta) {
  *
  * @param {object} args
  * @param {object} methodMeta
+ * @param {object} moduleMeta
  *
  * @returns {undefined}
  */
-function runBeforeDetach (args, methodMeta) {
+function runBeforeDetach (args, methodMeta, moduleMeta) {
     // skip if no beforeDetach methods
     if (!defined(methodMeta.beforeDetach)) {
         return
     }
     // run all functions
     _.each(methodMeta.beforeDetach, method => {
-        // call method
-        (method)(args, methodMeta.signature, 'beforeDetach')
-        // log errors
-        .catch(err => {
-            // require log client
-            if (!defined(methodMeta.logClient)) {
-                return
+        // call method and log errors
+        callDetachedMethod(method, args, methodMeta, 'beforeDetach', moduleMeta)
+    })
+}
+
+/**
+ * @function runCacheMiss
+ *
+ * call method after cache miss and cache result if it resolves.
+ *
+ * if the coalesce option is set for the cache rule then concurrent calls with
+ * the same key share a single in-flight call to the method which caches the
+ * result once. each call resolves with its own copy of the result.
+ *
+ * @param {object} args
+ * @param {object} methodMeta
+ * @param {string} key - cache key
+ * @param {object} moduleMeta
+ *
+ * @returns {Promise}
+ */
+function runCacheMiss (args, methodMeta, key, moduleMeta) {
+    // call method and cache result if not coalescing
+    if (!methodMeta.cache.coalesce) {
+        return runNotCached(args, methodMeta, moduleMeta)
+        // if method call resolves then cache results
+        .then(res => setCached(args, methodMeta, key, res, moduleMeta))
+    }
+    // get in-flight calls for container that module belongs to
+    var inflight = moduleMeta.immutable.cacheInflight
+    // get in-flight call for key
+    var promise = inflight.get(key)
+    // call method if there is no call in-flight
+    if (!defined(promise)) {
+        promise = runNotCached(args, methodMeta, moduleMeta)
+        // if method call resolves then cache results
+        .then(res => setCached(args, methodMeta, key, res, moduleMeta))
+        // remove in-flight call once settled
+        .finally(() => {
+            if (inflight.get(key) === promise) {
+                inflight.delete(key)
             }
-            // log error
-            methodMeta.logClient.error(err, args.session)
         })
+        // store in-flight call
+        inflight.set(key, promise)
+    }
+    // resolve with copy of result
+    return promise.then(res => _.cloneDeep(res))
+}
+
+/**
+ * @function runCacheRefresh
+ *
+ * call method in background to refresh stale cache entry. the call is tracked
+ * as a detached call and errors are logged and ignored. only one refresh per
+ * key is run at a time.
+ *
+ * the refresh is logged as a new call with its own moduleCallId and rejects
+ * with a TimeoutError if the timeout option is set for the method and the
+ * call does not complete in time.
+ *
+ * @param {object} args
+ * @param {object} methodMeta
+ * @param {string} key - cache key
+ * @param {object} moduleMeta
+ *
+ * @returns {undefined}
+ */
+function runCacheRefresh (args, methodMeta, key, moduleMeta) {
+    // get keys being refreshed for container that module belongs to
+    var refreshing = moduleMeta.immutable.cacheRefreshing
+    // do nothing if key already being refreshed
+    if (refreshing.has(key)) {
+        return
+    }
+    // flag key as being refreshed
+    refreshing.add(key)
+    // shallow clone args and session so refresh has its own call id
+    args = _.clone(args)
+    args.session = _.clone(args.session)
+    // generate random unique id
+    var uniqueId = randomUniqueId()
+    // store module call id and timestamp on session for logging
+    args.session.moduleCallCreateTime = uniqueId.timestamp
+    args.session.moduleCallId = uniqueId.id
+    // log refresh call
+    logCall(args, methodMeta)
+    // call method - reject if it does not complete before method timeout
+    var ret = runTimeout(
+        Promise.try(() => runNotCached(args, methodMeta, moduleMeta)),
+        methodMeta.timeout,
+        methodMeta.signature,
+        args.session.moduleCallId
+    )
+    // log refresh result
+    var promise = logReturn(args, methodMeta, ret)
+    // if method call resolves then cache results
+    .then(res => {
+        setCached(args, methodMeta, key, res, moduleMeta)
+    })
+    // log and ignore errors
+    .catch(err => {
+        if (defined(methodMeta.logClient)) {
+            methodMeta.logClient.error(err, args.session)
+        }
+    })
+    // allow key to be refreshed again once settled
+    .finally(() => refreshing.delete(key))
+    // track refresh until settled
+    addDetached(moduleMeta, {
+        bindSignature: methodMeta.signature,
+        bindType: 'cacheRefresh',
+        promise: promise,
+        signature: methodMeta.signature,
+        startTime: microTimestamp(),
     })
 }
 
@@ -836,49 +2318,43 @@ function runBeforeDetach (args, methodMeta) {
  * be cached if promise resolves.
  *
  * if there is an error with the cache call then the method will be called.
- * 
+ * errors from the method call are not handled so a method that rejects is
+ * only called once.
+ *
  * if an object is returned from the cache and it does not contain a cacheId
  * property then the cacheId property will be added to it with the cache key
  * value used to retrieve the cached data.
  *
  * @param {object} args
  * @param {object} methodMeta
+ * @param {object} moduleMeta
  *
  * @returns {Promise}
  */
-function runCached (args, methodMeta) {
+function runCached (args, methodMeta, moduleMeta) {
     // get cache data from method meta data
     var cache = methodMeta.cache
     // generate cache key
-    var key = cache.keyMethod
-        // call custom key generation method if defined
-        ? (cache.keyMethod)(args, methodMeta)
-        // use default key generation method
-        : getCacheKey(args, methodMeta)
+    var key = getMethodCacheKey(args, methodMeta)
     // attempt to get value from cache
     return cache.cacheClient.get(key, args.session)
     // cache get success
     .then(res => {
         // cached value not found
         if (res === null) {
-            // cached value not found, call method
-            return runNotCached(args, methodMeta)
-            // if method call resolves then cache results
-            .then(res => {
-                // cache result if not null
-                if (res !== null) {
-                    cache.expire
-                        // cache response with expiration
-                        ? cache.cacheClient.setex(key, res, cache.expire, args.session)
-                        // cache response without expiration
-                        : cache.cacheClient.set(key, res, args.session)
-                }
-                // resolve with response
-                return res
-            })
+            // cached value not found, call method and cache results
+            return runCacheMiss(args, methodMeta, key, moduleMeta)
         }
         // cached value found
         else {
+            // get value from entry stored with staleAfter
+            if (defined(cache.staleAfter) && isStaleEntry(res)) {
+                // refresh entry in background if stale
+                if (res.staleAt <= Date.now()) {
+                    runCacheRefresh(args, methodMeta, key, moduleMeta)
+                }
+                res = res.value
+            }
             // if result is object then add cache key to it
             if (typeof res === 'object') {
                 res._cached = key
@@ -886,27 +2362,146 @@ function runCached (args, methodMeta) {
             // resolve with response
             return res
         }
+    },
+    // cache get error - errors from method call are not handled here
+    err => {
+        // if cache get had error then call method and cache results
+        return runCacheMiss(args, methodMeta, key, moduleMeta)
     })
-    // cache get error
-    .catch(err => {
-        // if cache get had error then call method
-        return runNotCached(args, methodMeta)
-        // if method call resolves then cache results
-        .then(res => {
-            // cache result if not null
-            if (res !== null) {
-                cache.expire
-                    // cache response with expiration
-                    ? cache.cacheClient.setex(key, res, cache.expire, args.session)
-                    // cache response without expiration
-                    : cache.cacheClient.set(key, res, args.session)
-            }
-            // resolve with response
-            return res
+}
+
+/**
+ * @function runFinally
+ *
+ * run all extensions bound on finally after method resolves or rejects. the
+ * method will not resolve or reject until all extensions complete but the
+ * result of the method cannot be changed. rejections are logged and ignored.
+ *
+ * if the sequential option is set methods will be run one after another.
+ *
+ * @param {object} args
+ * @param {object} methodMeta
+ * @param {Promise} ret
+ *
+ * @returns {Promise}
+ */
+function runFinally (args, methodMeta, ret) {
+    // return original promise if there are no finally extensions
+    if (!defined(methodMeta.finally)) {
+        return ret
+    }
+    // run finally methods and then resolve or reject with original outcome
+    return Promise.resolve(ret).reflect().then(inspection => {
+        // build arguments for finally methods
+        var finallyArgs = finallyMethodArgs(args, inspection)
+        // call method and log errors
+        var call = method => {
+            return callBoundMethod(method, _.clone(finallyArgs), methodMeta, 'finally')
+            // log errors
+            .catch(err => {
+                // require log client
+                if (!defined(methodMeta.logClient)) {
+                    return
+                }
+                // log error
+                methodMeta.logClient.error(err, args.session)
+            })
+        }
+        // run finally methods one at a time or all at once
+        return (methodMeta.sequential
+            ? Promise.each(methodMeta.finally, call)
+            : Promise.all(_.map(methodMeta.finally, call))
+        )
+        // return original promise
+        .then(() => ret)
+    })
+}
+
+/**
+ * @function runFinallyDetach
+ *
+ * run extension methods bound on finallyDetach after method resolves or
+ * rejects. these methods are run asynchronously and results including
+ * rejections are ignored.
+ *
+ * @param {object} args
+ * @param {object} methodMeta
+ * @param {Promise} ret
+ * @param {object} moduleMeta
+ *
+ * @returns {undefined}
+ */
+function runFinallyDetach (args, methodMeta, ret, moduleMeta) {
+    // skip if no finallyDetach methods
+    if (!defined(methodMeta.finallyDetach)) {
+        return
+    }
+    // wait for original promise to resolve or reject then run detached functions
+    Promise.resolve(ret).reflect().then(inspection => {
+        // build arguments for finallyDetach methods
+        var finallyArgs = finallyMethodArgs(args, inspection)
+        // run all functions
+        _.each(methodMeta.finallyDetach, method => {
+            // call method and log errors
+            callDetachedMethod(method, _.clone(finallyArgs), methodMeta, 'finallyDetach', moduleMeta)
         })
     })
 }
 
+/**
+ * @function runInvalidate
+ *
+ * after method resolves delete cache entries for all cached methods that
+ * have the method in their invalidateOn list. the method does not resolve
+ * until the entries are deleted. errors deleting entries are logged and
+ * ignored.
+ *
+ * @param {object} args
+ * @param {object} methodMeta
+ * @param {Promise} ret
+ * @param {object} moduleMeta
+ *
+ * @returns {Promise}
+ */
+function runInvalidate (args, methodMeta, ret, moduleMeta) {
+    // get data store for container that module belongs to
+    var immutable = moduleMeta.immutable
+    // get signatures of cached methods invalidated by method
+    var signatures = _.get(immutable, ['invalidations', methodMeta.signature])
+    // return original promise if method does not invalidate any caches
+    if (!defined(signatures)) {
+        return ret
+    }
+    // after original promise resolves delete cache entries
+    return ret.then(res => Promise.all(_.map(signatures, signature => {
+        // get cached method
+        var method = _.get(immutable.modules, signature.split('.'))
+        // get cache rule - may have been removed since added
+        var cache = defined(method) && defined(method.meta) ? method.meta.cache : undefined
+        // get invalidateOn entry for method from cache rule
+        var entry = defined(cache) ? _.find(cache.invalidateOn, {signature: methodMeta.signature}) : undefined
+        // skip if cache rule no longer invalidated by method
+        if (!defined(entry)) {
+            return
+        }
+        // delete entry using key built from args
+        return Promise.try(() => {
+            var key = getMethodCacheKey(getInvalidateArgs(args, cache, entry), method.meta)
+            // remove key from tag index
+            removeCacheTagKey(immutable, key)
+            return cache.cacheClient.del(key, args.session)
+        })
+        // log and ignore errors
+        .catch(err => {
+            if (defined(methodMeta.logClient)) {
+                methodMeta.logClient.error(err, args.session)
+            }
+        })
+    }))
+    // resolve with original result
+    .then(() => res))
+}
+
 /**
  * @function runNotCached
  *
@@ -914,23 +2509,22 @@ function runCached (args, methodMeta) {
  *
  * @param {object} args
  * @param {object} methodMeta
+ * @param {object} moduleMeta
  *
  * @returns {Promise}
  */
-function runNotCached (args, methodMeta) {
+function runNotCached (args, methodMeta, moduleMeta) {
     // freeze args
     if (methodMeta.freeze) {
-        // clone args to prevent leaking frozen objects
-        args = _.cloneDeep(args)
-        // recursively freeeze all objects in args
-        deepFreeze(args)
+        // clone and recursively freeze all objects in args
+        args = freezeArgs(args)
     }
     // promise to be resolved with method result
     var promise
     // Immutable AI enabled
     if (methodMeta.immutableAI) {
-        // create immutable ai instance
-        var ai = immutableAI(args)
+        // create immutable ai instance for container module belongs to
+        var ai = containerImmutableAI(args, moduleMeta.immutable)
         // call method with Immutable AI instance
         promise = Promise.resolve( methodMeta.method.call(ai, args) )
     }
@@ -958,6 +2552,127 @@ function runNotCached (args, methodMeta) {
     return promise
 }
 
+/**
+ * @function runOnError
+ *
+ * run all extensions bound on onError if method rejects. extensions are called
+ * with the original args, the error, and the session.
+ *
+ * if any extensions resolve with a value other than undefined the method will
+ * resolve with the results merged together using the merge option of each
+ * bind, ignoring the merge option of the method. if any extensions reject the
+ * method will reject with that error. otherwise the method will reject with
+ * the original error.
+ *
+ * if the sequential option is set methods will be run one after another.
+ *
+ * @param {object} args
+ * @param {object} methodMeta
+ * @param {Promise} ret
+ *
+ * @returns {Promise}
+ */
+function runOnError (args, methodMeta, ret) {
+    // return original promise if there are no onError extensions
+    if (!defined(methodMeta.onError)) {
+        return ret
+    }
+    // if original promise rejects then run onError methods
+    return ret.catch(err => {
+        // log original error before attempting recovery
+        logError(args, methodMeta, err)
+        // build arguments for onError methods
+        var errorArgs = () => ({
+            args: args,
+            error: err,
+            session: args.session,
+        })
+        // recovered result
+        var res
+        // get onError methods in case binds change before results are merged
+        var methods = methodMeta.onError
+        // run onError methods one at a time
+        var results = methodMeta.sequential
+            ? Promise.each(methodMeta.onError, method => {
+                return callBoundMethod(method, errorArgs(), methodMeta, 'onError')
+                // merge result before calling next method
+                .then(result => {
+                    res = mergeBindResult(res, result, methodMeta, 'onError', method, args.session)
+                })
+            })
+            // wait for all extension methods to complete
+            : Promise.all(
+                _.map(methods, method => {
+                    return callBoundMethod(method, errorArgs(), methodMeta, 'onError')
+                })
+            )
+            // merge results
+            .then(results => {
+                _.each(results, (result, i) => {
+                    res = mergeBindResult(res, result, methodMeta, 'onError', methods[i], args.session)
+                })
+            })
+        // resolve with recovered result or reject with original error
+        return results.then(() => res === undefined ? Promise.reject(err) : res)
+    })
+}
+
+/**
+ * @function runOnErrorDetach
+ *
+ * run extension methods bound on onErrorDetach if method rejects. these
+ * methods are run asynchronously and results including rejections are ignored.
+ *
+ * @param {object} args
+ * @param {object} methodMeta
+ * @param {Promise} ret
+ * @param {object} moduleMeta
+ *
+ * @returns {undefined}
+ */
+function runOnErrorDetach (args, methodMeta, ret, moduleMeta) {
+    // skip if no onErrorDetach methods
+    if (!defined(methodMeta.onErrorDetach)) {
+        return
+    }
+    // wait for original promise to reject then run detached functions
+    ret.catch(err => {
+        // build arguments for onErrorDetach methods
+        var errorArgs = {
+            args: args,
+            error: err,
+            session: args.session,
+        }
+        // run all functions
+        _.each(methodMeta.onErrorDetach, method => {
+            // call method and log errors
+            callDetachedMethod(method, errorArgs, methodMeta, 'onErrorDetach', moduleMeta)
+        })
+    })
+}
+
+/**
+ * @function runTimeout
+ *
+ * reject with TimeoutError if promise does not settle before timeout. if
+ * timeout is not defined the original promise is returned.
+ *
+ * @param {Promise} ret
+ * @param {number} timeout - ms to wait
+ * @param {string} signature - signature of method being called
+ * @param {string} moduleCallId - id of call
+ *
+ * @returns {Promise}
+ */
+function runTimeout (ret, timeout, signature, moduleCallId) {
+    // return original promise if no timeout
+    if (!defined(timeout)) {
+        return ret
+    }
+    // reject with error if promise does not settle before timeout
+    return Promise.resolve(ret).timeout(timeout, new TimeoutError(signature, moduleCallId, timeout))
+}
+
 /**
  * @function runWithAfter
  *
@@ -965,28 +2680,21 @@ function runNotCached (args, methodMeta) {
  *
  * @param {object} ret
  * @param {array} runWith
+ * @param {object} args
+ * @param {object} methodMeta
  *
  * @returns {Promise}
  */
-function runWithAfter (ret, runWith) {
+function runWithAfter (ret, runWith, args, methodMeta) {
     // after original promise resolves then run after methods
     return ret.then(res => {
         // wait for all extension methods to complete
-        return Promise.all(runWith)
+        return Promise.all(_.map(runWith, 'promise'))
         // merge returned data into original
         .then(function (results) {
             // either merge or replace result
-            _.each(results, result => {
-                // both original res and after result are objects
-                if (typeof res === 'object' && res !== null && typeof result === 'object' && result !== null) {
-                    // merge after into original
-                    _.merge(res, result)
-                }
-                // one is not an object
-                else if (result !== undefined) {
-                    // replace original with after
-                    res = result
-                }
+            _.each(results, (result, i) => {
+                res = mergeBindResult(res, result, methodMeta, 'with', runWith[i].method, args.session)
             })
             // return final result
             return res
@@ -997,7 +2705,7 @@ function runWithAfter (ret, runWith) {
 /**
  * @function runWithBefore
  *
- * execute with extensions. return list of promises.
+ * execute with extensions. return list of bound methods and promises.
  *
  * @param {object} args
  * @param {object} methodMeta
@@ -1009,10 +2717,11 @@ function runWithBefore (args, methodMeta) {
     if (!defined(methodMeta.with)) {
         return
     }
-    // return list of promises from with methods
-    return _.map(methodMeta.with, method => {
-        return (method)(args, methodMeta.signature, 'with')
-    })
+    // return list of methods and promises from with methods
+    return _.map(methodMeta.with, method => ({
+        method: method,
+        promise: callBoundMethod(method, args, methodMeta, 'with'),
+    }))
 }
 
 /**
@@ -1022,28 +2731,91 @@ function runWithBefore (args, methodMeta) {
  *
  * @param {object} args
  * @param {object} methodMeta
+ * @param {object} moduleMeta
  */
-function runWithDetach (args, methodMeta) {
+function runWithDetach (args, methodMeta, moduleMeta) {
     // skip if no withDetach methods
     if (!defined(methodMeta.withDetach)) {
         return
     }
     // run all functions
     _.each(methodMeta.withDetach, method => {
-        // call method
-        (method)(args, methodMeta.signature, 'withDetach')
-        // log errors
-        .catch(err => {
-            // require log client
-            if (!defined(methodMeta.logClient)) {
-                return
-            }
-            // log error
-            methodMeta.logClient.error(err, args.session)
-        })
+        // call method and log errors
+        callDetachedMethod(method, args, methodMeta, 'withDetach', moduleMeta)
     })
 }
 
+/**
+ * @function setCached
+ *
+ * store result of method call in cache if it is not null and add tags for the
+ * entry if the cache rule has tags. if staleAfter is set the result is stored
+ * in an entry with the time that it becomes stale.
+ *
+ * @param {object} args
+ * @param {object} methodMeta
+ * @param {string} key - cache key
+ * @param {any} res - method result
+ * @param {object} moduleMeta
+ *
+ * @returns {any}
+ */
+function setCached (args, methodMeta, key, res, moduleMeta) {
+    // get cache data from method meta data
+    var cache = methodMeta.cache
+    // cache result if not null
+    if (res !== null) {
+        // store result with time it becomes stale if staleAfter set
+        var value = defined(cache.staleAfter)
+            ? {staleAt: Date.now() + cache.staleAfter * 1000, value: res}
+            : res
+        cache.expire
+            // cache response with expiration
+            ? cache.cacheClient.setex(key, value, cache.expire, args.session)
+            // cache response without expiration
+            : cache.cacheClient.set(key, value, args.session)
+        // add tags for cached result
+        addCacheTags(args, methodMeta, key, res, moduleMeta)
+    }
+    // resolve with response
+    return res
+}
+
+/**
+ * @function shouldRetry
+ *
+ * check if detached bound method should be called again after error. returns
+ * false if retry options not set, attempts have been used, or retryIf does not
+ * return true for the error.
+ *
+ * @param {object} retry - retry options
+ * @param {integer} attempt - number of attempt that failed
+ * @param {Error} err
+ *
+ * @returns {boolean}
+ */
+function shouldRetry (retry, attempt, err) {
+    // no retry options or attempts used
+    if (!defined(retry) || attempt >= retry.attempts) {
+        return false
+    }
+    // never retry calls that were aborted
+    if (err instanceof AbortError) {
+        return false
+    }
+    // retry all errors if no retryIf function
+    if (!defined(retry.retryIf)) {
+        return true
+    }
+    // retry if function returns true - do not retry if it throws
+    try {
+        return retry.retryIf(err) === true
+    }
+    catch (retryErr) {
+        return false
+    }
+}
+
 /**
  * @function validateArgs
  *
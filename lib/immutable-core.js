@@ -5,7 +5,7 @@ const assert = require('assert')
 
 /* npm modules */
 const Ajv = require('ajv')
-const ImmutableAI = require('immutable-ai')
+const Promise = require('bluebird')
 const _ = require('lodash')
 const defined = require('if-defined')
 const requireValidLogClient = require('immutable-require-valid-log-client')
@@ -14,23 +14,49 @@ const getEnv = require('get-env')
 /* application modules */
 const ImmutableCoreModule = require('./immutable-core-module')
 const ImmutableFunction = require('./immutable-function')
+const MemoryCacheClient = require('./memory-cache-client')
+const AbortError = require('./abort-error')
+const TimeoutError = require('./timeout-error')
+const containerImmutableAI = require('./container-immutable-ai')
+const getSignaturePatterns = require('./get-signature-patterns')
+const getValidInvalidateOn = require('./get-valid-invalidate-on')
 const getValidSignature = require('./get-valid-signature')
+const matchSignature = require('./match-signature')
 const requireValidCacheClient = require('./require-valid-cache-client')
 const requireValidName = require('./require-valid-name')
 const requireValidOptionalObject = require('immutable-require-valid-optional-object')
 
 /* exports */
 
-const ImmutableCore = {
+// public functions that take data store as first argument - name: function
+const publicFunctions = {
     // bind methods
     after: after,
     afterDetach: afterDetach,
+    around: around,
     before: before,
     beforeDetach: beforeDetach,
+    finally: _finally,
+    finallyDetach: finallyDetach,
+    onError: onError,
+    onErrorDetach: onErrorDetach,
     with: _with,
     withDetach: withDetach,
+    // remove bound method
+    unbind: unbind,
     // define caching
     cache: cache,
+    invalidate: invalidate,
+    invalidateTags: invalidateTags,
+    // describe registered modules, methods and functions
+    describe: describe,
+    // export bind graph
+    graph: graph,
+    // verify binds and cache rules
+    verify: verify,
+    // wait for detached calls
+    drain: drain,
+    pendingDetached: pendingDetached,
     // check if functions modules and methods exist
     hasFunction: hasFunction,
     hasMethod: hasMethod,
@@ -39,6 +65,9 @@ const ImmutableCore = {
     function: getFunction,
     method: getMethod,
     module: getModule,
+    // remove modules and methods
+    removeMethod: removeMethod,
+    removeModule: removeModule,
     // get/set module global data
     getData: getData,
     setData: setData,
@@ -51,17 +80,24 @@ const ImmutableCore = {
     freezeData: freezeData,
     immutableAI: immutableAI,
     logClient: logClient,
+    propagateTimeout: propagateTimeout,
     resolve: resolve,
     strictArgs: strictArgs,
+    timeout: timeout,
     validateArgs: validateArgs,
     validateReturn: validateReturn,
     // access global data
     getGlobal: getGlobal,
     reset: reset,
-    // class properties
-    ImmutableCore: true,
-    class: 'ImmutableCore',
+    // save and restore data store state
+    restore: restore,
+    snapshot: snapshot,
 }
+// ImmutableCore instance for each data store
+const containers = new WeakMap()
+
+// default container uses global singleton data store
+const ImmutableCore = createImmutableCore(getGlobalStore())
 
 module.exports = ImmutableCore
 
@@ -77,18 +113,26 @@ const defaultOptions = {
     freezeData: 'defaultFreezeData',
     immutableAI: 'defaultImmutableAI',
     logClient: 'defaultLogClient',
+    propagateTimeout: 'defaultPropagateTimeout',
     resolve: 'defaultResolve',
     strictArgs: 'defaultStrictArgs',
+    timeout: 'defaultTimeout',
     validateArgs: 'defaultValidateArgs',
     validateReturn: 'defaultValidateReturn',
 }
 // environment
 const env = getEnv()
-// get reference to global singleton instance
-const immutable = getGlobal()
+// graph format converters
+const graphFormats = {
+    dot: graphToDot,
+    json: _.identity,
+    mermaid: graphToMermaid,
+}
+// snapshot data indexed by opaque snapshot token
+const snapshots = new WeakMap()
 
-// initialize ImmutableAI with ImmutableCore instance
-ImmutableAI.immutableCore(ImmutableCore)
+// initialize ImmutableAI with default ImmutableCore instance
+containerImmutableAI.setDefaultContainer(ImmutableCore)
 
 /* public functions */
 
@@ -108,15 +152,17 @@ ImmutableAI.immutableCore(ImmutableCore)
  * target method if both methods return objects. If non-object value is
  * returned by either the value returned by after will replace.
  *
+ * @param {object} immutable - data store
  * @oaram {string} signature - moduleName.functionName to bind to
  * @param {function} method - ImmutableCoreModule method to bind
+ * @param {object} options - bind options (optional)
  *
  * @returns {ImmutableCore}
  *
  * @throws {Error}
  */
-function after (signature, method) {
-    return bind('after', signature, method)
+function after (immutable, signature, method, options) {
+    return bind(immutable, 'after', signature, method, options)
 }
 
 /**
@@ -131,15 +177,17 @@ function after (signature, method) {
  *
  * any data return will be ignored.
  *
+ * @param {object} immutable - data store
  * @oaram {string} signature - moduleName.functionName to bind to
  * @param {function} method - ImmutableCoreModule method to bind
+ * @param {object} options - bind options (optional)
  *
  * @returns {ImmutableCore}
  *
  * @throws {Error}
  */
-function afterDetach (signature, method) {
-    return bind('afterDetach', signature, method)
+function afterDetach (immutable, signature, method, options) {
+    return bind(immutable, 'afterDetach', signature, method, options)
 }
 
 /**
@@ -147,16 +195,17 @@ function afterDetach (signature, method) {
  *
  * get/set the default ajv validator
  *
+ * @param {object} immutable - data store
  * @param {Ajv} ajv
  *
  * @returns {Ajv|ImmutableCore}
  */
-function ajv (ajv) {
+function ajv (immutable, ajv) {
     // set default if value passed
     if (defined(ajv)) {
         immutable.defaultAjv = ajv
         // return immutable
-        return ImmutableCore
+        return containers.get(immutable)
     }
     // return default value
     return immutable.defaultAjv
@@ -167,33 +216,66 @@ function ajv (ajv) {
  *
  * get/set the default value for allowing override of methods and cache rules
  *
+ * @param {object} immutable - data store
  * @param {boolean} strictArgs
  *
  * @returns {ImmutableCore|boolean}
  */
-function allowOverride (allowOverride) {
+function allowOverride (immutable, allowOverride) {
     // set default if value passed
     if (defined(allowOverride)) {
         immutable.defaultAllowOverride = allowOverride ? true : false
         // return immutable
-        return ImmutableCore
+        return containers.get(immutable)
     }
     // return default value
     return immutable.defaultAllowOverride
 }
 
+/**
+ * @function around
+ *
+ * bind ImmutableCoreModule method to execute around the target
+ * ImmutableCoreModule method identified by signature.
+ *
+ * bound method will be called with the args for the target method plus a
+ * next function. calling next with optional new args will call the target
+ * method, including any cache lookup, and return a promise resolving with
+ * the result.
+ *
+ * the value resolved by the bound method will be used as the result of the
+ * target method so the bound method may change args, skip calling next and
+ * return a different result, or transform the result.
+ *
+ * multiple around methods are nested with the first bound being the
+ * outermost unless priorities are set.
+ *
+ * @param {object} immutable - data store
+ * @oaram {string} signature - moduleName.functionName to bind to
+ * @param {function} method - ImmutableCoreModule method to bind
+ * @param {object} options - bind options (optional)
+ *
+ * @returns {ImmutableCore}
+ *
+ * @throws {Error}
+ */
+function around (immutable, signature, method, options) {
+    return bind(immutable, 'around', signature, method, options)
+}
+
 /**
  * @function automock
  *
  * get/set the immutable-automock wrapper function
  *
+ * @param {object} immutable - data store
  * @param {function} automock
  *
  * @returns {ImmutableCore|boolean}
  *
  * @throws {Error}
  */
-function automock (automock) {
+function automock (immutable, automock) {
     // set default if value passed
     if (defined(automock)) {
         // require function
@@ -203,7 +285,7 @@ function automock (automock) {
         // set global value
         immutable.defaultAutomock = automock
         // return immutable
-        return ImmutableCore
+        return containers.get(immutable)
     }
     // return default value
     return immutable.defaultAutomock
@@ -221,15 +303,17 @@ function automock (automock) {
  * data return by before method will be merged into the args for the target
  * method before calling the target method.
  *
+ * @param {object} immutable - data store
  * @oaram {string} signature - moduleName.functionName to bind to
  * @param {function} method - ImmutableCoreModule method to bind
+ * @param {object} options - bind options (optional)
  *
  * @returns {ImmutableCore}
  *
  * @throws {Error}
  */
-function before (signature, method) {
-    return bind('before', signature, method)
+function before (immutable, signature, method, options) {
+    return bind(immutable, 'before', signature, method, options)
 }
 
 /**
@@ -244,15 +328,17 @@ function before (signature, method) {
  *
  * any data returned by before method is ignored.
  *
+ * @param {object} immutable - data store
  * @oaram {string} signature - moduleName.functionName to bind to
  * @param {function} method - ImmutableCoreModule method to bind
+ * @param {object} options - bind options (optional)
  *
  * @returns {ImmutableCore}
  *
  * @throws {Error}
  */
-function beforeDetach (signature, method) {
-    return bind('beforeDetach', signature, method)
+function beforeDetach (immutable, signature, method, options) {
+    return bind(immutable, 'beforeDetach', signature, method, options)
 }
 
 /**
@@ -277,9 +363,33 @@ function beforeDetach (signature, method) {
  *
  *     keyParams - array of parameters from args to be used for generating key.
  *
+ *     invalidateOn - array of signatures of methods that will delete the
+ *                    cache entry after they resolve. entries may be objects
+ *                    with signature and params where params maps the args
+ *                    used to build the key to paths in the args of the
+ *                    invalidating method. cacheClient must provide del.
+ *
+ *     tags - function called with args and result when the result is
+ *            cached that returns an array of tags for the entry. entries
+ *            can be deleted by tag with invalidateTags. cacheClient must
+ *            provide del.
+ *
+ *     coalesce - if true concurrent calls that miss the cache with the
+ *                same key share a single call to the method.
+ *
+ *     staleAfter - seconds after which cached value is stale. stale
+ *                  values are returned immediately and the method is
+ *                  called in the background to refresh the entry.
+ *
  * an error will be thrown on attempt to add multiple cache rules to same
  * method.
  *
+ * signature may be a wildcard pattern (moduleName.*, *.functionName, *.*)
+ * in which case the cache rule will be applied to all existing and future
+ * methods that match the pattern that do not already have a cache rule.
+ * when a method is defined the most specific matching rule is used.
+ *
+ * @param {object} immutable - data store
  * @oaram {string} signature - moduleName.functionName to cache
  * @param {object} cache - cache rules
  *
@@ -287,11 +397,23 @@ function beforeDetach (signature, method) {
  *
  * @throws {Error}
  */
-function cache (signature, cache) {
-    // validate signature
-    var signature = getValidSignature(signature)
+function cache (immutable, signature, cache) {
+    // validate signature - allow wildcard patterns
+    var signature = getValidSignature(signature, true)
     // make sure cache is object
     cache = requireValidOptionalObject(cache)
+    // validate methods that invalidate cache
+    if (defined(cache.invalidateOn)) {
+        cache.invalidateOn = getValidInvalidateOn(cache.invalidateOn)
+    }
+    // require function for tags
+    if (defined(cache.tags) && typeof cache.tags !== 'function') {
+        throw new Error('cache error: tags must be function')
+    }
+    // require positive number for staleAfter
+    if (defined(cache.staleAfter) && !(typeof cache.staleAfter === 'number' && cache.staleAfter > 0)) {
+        throw new Error('cache error: staleAfter must be positive number')
+    }
     // create cache entry for module if it does not exist
     if (!defined(immutable.caches[signature.moduleName])) {
         immutable.caches[signature.moduleName] = {}
@@ -306,10 +428,16 @@ function cache (signature, cache) {
         cached: false,
         cache: cache,
     }
+    // cache all existing methods matching pattern
+    if (signature.wildcard) {
+        _.each(getMatchingSignatures(immutable, signature.signature), signature => doCacheForMethod(immutable, signature))
+    }
     // cache method if it exists
-    doCacheForMethod(signature.signature)
+    else {
+        doCacheForMethod(immutable, signature.signature)
+    }
     // return immutable
-    return ImmutableCore
+    return containers.get(immutable)
 }
 
 /**
@@ -317,40 +445,204 @@ function cache (signature, cache) {
  *
  * get/set the default cache client
  *
+ * @param {object} immutable - data store
  * @param {object} cacheClient
  *
  * @returns {ImmutableCore|object}
  *
  * @throws {Error} on invalid cacheClient
  */
-function cacheClient (cacheClient) {
+function cacheClient (immutable, cacheClient) {
     if (defined(cacheClient)) {
         // validate that cache client has required methods
         requireValidCacheClient(cacheClient)
         // set default
         immutable.defaultCacheClient = cacheClient
         // return immutable
-        return ImmutableCore
+        return containers.get(immutable)
     }
     // return default value
     return immutable.defaultCacheClient
 }
 
+/**
+ * @function createContainer
+ *
+ * create new ImmutableCore container with the same api as ImmutableCore that
+ * uses its own data store for modules, binds, caches, functions and default
+ * options.
+ *
+ * unlike the other public functions this is not in publicFunctions and is not
+ * bound to a data store because the new container creates its own.
+ *
+ * options may include any default options (e.g. logClient, strictArgs) which
+ * will be set on the new container.
+ *
+ * @param {object} options
+ *
+ * @returns {ImmutableCore}
+ *
+ * @throws {Error}
+ */
+function createContainer (options) {
+    // make sure options is object
+    options = requireValidOptionalObject(options)
+    // create new container with empty data store
+    var container = createImmutableCore({})
+    // set default options
+    _.each(options, (value, optionName) => {
+        // require valid option
+        if (!defined(defaultOptions[optionName])) {
+            throw new Error(`container error: invalid option ${optionName}`)
+        }
+        container[optionName](value)
+    })
+    // return new container
+    return container
+}
+
+/**
+ * @function describe
+ *
+ * get serializable description of registered modules, methods, and
+ * functions.
+ *
+ * if signature is passed then description of the single module method
+ * (moduleName.methodName) or module (moduleName) will be returned.
+ *
+ * options that are objects or functions (ajv, automock, cacheClient,
+ * logClient) are described as true if they are set and omitted if not.
+ *
+ * @param {object} immutable - data store
+ * @param {string|undefined} signature
+ *
+ * @returns {object}
+ *
+ * @throws {Error}
+ */
+function describe (immutable, signature) {
+    // describe single method or module if signature passed
+    if (defined(signature)) {
+        return typeof signature === 'string' && signature.includes('.')
+            ? describeMethod(getMethod(immutable, signature))
+            : describeModule(getModule(immutable, signature))
+    }
+    // describe everything
+    return {
+        functions: _.mapValues(immutable.functions, func => ({
+            functionId: func.meta.functionId,
+            functionName: func.meta.functionName,
+        })),
+        modules: _.mapValues(immutable.modules, describeModule),
+    }
+}
+
+/**
+ * @function drain
+ *
+ * wait for all detached calls (beforeDetach, withDetach, etc) that have
+ * been started to settle. detached calls started after drain is called
+ * are not waited for.
+ *
+ * if the timeout option is set the promise will reject if calls have not
+ * settled after timeout ms. the pending calls will be set on error.data.
+ *
+ * @param {object} immutable - data store
+ * @param {object} args
+ * @param {number} args.timeout - ms to wait (optional)
+ *
+ * @returns {Promise}
+ */
+function drain (immutable, args) {
+    // make sure args is object
+    args = requireValidOptionalObject(args)
+    // wait for detached calls started so far
+    var promise = Promise.all(_.map(immutable.detached, 'promise'))
+        .then(() => containers.get(immutable))
+    // wait forever if no timeout
+    if (!defined(args.timeout)) {
+        return promise
+    }
+    // reject if calls do not settle before timeout
+    return promise.timeout(args.timeout).catch(Promise.TimeoutError, () => {
+        // get calls still pending
+        var pending = pendingDetached(immutable)
+        // create error
+        var error = new Error(`drain error: ${pending.length} detached calls pending after ${args.timeout}ms`)
+        // add pending calls to error data
+        error.data = pending
+        // reject with error
+        return Promise.reject(error)
+    })
+}
+
+/**
+ * @function finally
+ *
+ * bind ImmutableCoreModule method to execute after the target
+ * ImmutableCoreModule method identified by signature either resolves or
+ * rejects.
+ *
+ * bound method will execute after all with, after and onError methods
+ * complete and will recieve the args for the target method, the result or
+ * error, and a resolved flag.
+ *
+ * resolution of the target method call will not complete until the bound
+ * method completes but finally methods cannot change the result. if the
+ * finally method rejects the error will be logged and ignored.
+ *
+ * @param {object} immutable - data store
+ * @oaram {string} signature - moduleName.functionName to bind to
+ * @param {function} method - ImmutableCoreModule method to bind
+ * @param {object} options - bind options (optional)
+ *
+ * @returns {ImmutableCore}
+ *
+ * @throws {Error}
+ */
+function _finally (immutable, signature, method, options) {
+    return bind(immutable, 'finally', signature, method, options)
+}
+
+/**
+ * @function finallyDetach
+ *
+ * bind ImmutableCoreModule method to execute after the target
+ * ImmutableCoreModule method identified by signature either resolves or
+ * rejects.
+ *
+ * unlike `finally` methods `finallyDetach` methods do not block resolution
+ * of the target method.
+ *
+ * @param {object} immutable - data store
+ * @oaram {string} signature - moduleName.functionName to bind to
+ * @param {function} method - ImmutableCoreModule method to bind
+ * @param {object} options - bind options (optional)
+ *
+ * @returns {ImmutableCore}
+ *
+ * @throws {Error}
+ */
+function finallyDetach (immutable, signature, method, options) {
+    return bind(immutable, 'finallyDetach', signature, method, options)
+}
+
 /**
  * @function freeze
  *
  * get/set the default freeze option
  *
+ * @param {object} immutable - data store
  * @param {boolean} freeze
  *
  * @returns {ImmutableCore|boolean}
  */
-function freeze (freeze) {
+function freeze (immutable, freeze) {
     if (defined(freeze)) {
         // set default
         immutable.defaultFreeze = freeze ? true : false
         // return immutable
-        return ImmutableCore
+        return containers.get(immutable)
     }
     // return default value
     return immutable.defaultFreeze
@@ -361,16 +653,17 @@ function freeze (freeze) {
  *
  * get/set the default freezeData option
  *
+ * @param {object} immutable - data store
  * @param {boolean} freezeData
  *
  * @returns {ImmutableCore|boolean}
  */
-function freezeData (freezeData) {
+function freezeData (immutable, freezeData) {
     if (defined(freezeData)) {
         // set default
         immutable.defaultFreezeData = freezeData ? true : false
         // return immutable
-        return ImmutableCore
+        return containers.get(immutable)
     }
     // return default value
     return immutable.defaultFreezeData
@@ -381,6 +674,7 @@ function freezeData (freezeData) {
  *
  * get global data for module - optionally throw error if require is set
  *
+ * @param {object} immutable - data store
  * @param {string} moduleName
  * @param {boolean} require
  *
@@ -388,9 +682,9 @@ function freezeData (freezeData) {
  *
  * @throws {Error}
  */
-function getData (moduleName, require) {
+function getData (immutable, moduleName, require) {
     // get module - throws error if not defined
-    var module = getModule(moduleName)
+    var module = getModule(immutable, moduleName)
     // if require flag is set throw error if data is not defined
     if (require === true && !defined(module.meta.data)) {
         throw new Error(`no data for ${moduleName}`)
@@ -410,6 +704,7 @@ function getData (moduleName, require) {
  *
  * error will be thrown if attempting to get function that is not defined.
  *
+ * @param {object} immutable - data store
  * @param {string} functionName - name of function
  * @param {object} functionObj - function (optional)
  * @param {object} options - options (optional)
@@ -418,7 +713,7 @@ function getData (moduleName, require) {
  *
  * @throws {Error}
  */
-function getFunction (functionName, functionObj, options) {
+function getFunction (immutable, functionName, functionObj, options) {
     // if function not being defined then attempt to get
     if (!defined(functionObj)) {
         // require function to be defined
@@ -429,7 +724,7 @@ function getFunction (functionName, functionObj, options) {
         return immutable.functions[functionName]
     }
     // get validated options with defaults set
-    options = getValidOptions(options, true)
+    options = getValidOptions(immutable, options, true)
     // throw error if function already defined and allow override not
     if (defined(immutable.functions[functionName]) && !options.allowOverride) {
         throw new Error(`function error: ${functionName} already defined`)
@@ -443,21 +738,15 @@ function getFunction (functionName, functionObj, options) {
 /**
  * @function getGlobal
  *
- * return global data - initialize of not defined
+ * return data store for container. for the default container this is the
+ * global singleton data.
+ *
+ * @param {object} immutable - data store
  *
  * @returns {object}
  */
-function getGlobal () {
-    // return global data if defined
-    if (defined(global.__immutable_core__)) {
-        return global.__immutable_core__   
-    }
-    // create global data object
-    global.__immutable_core__ = {}
-    // initialize global defaults
-    reset()
-    // return global data
-    return global.__immutable_core__
+function getGlobal (immutable) {
+    return immutable
 }
 
 /**
@@ -472,6 +761,7 @@ function getGlobal () {
  *
  * error will be thrown in attempting to get method that is not defined.
  *
+ * @param {object} immutable - data store
  * @param {string} signature - ModuleName.methodName of method
  * @param {object} method - method function (optional)
  * @param {object} options - options (optional)
@@ -480,7 +770,7 @@ function getGlobal () {
  *
  * @throws {Error}
  */
-function getMethod (signature, method, options) {
+function getMethod (immutable, signature, method, options) {
     // convert signature string to method and function name
     signature = getValidSignature(signature)
     // get module
@@ -499,13 +789,13 @@ function getMethod (signature, method, options) {
         return module[signature.methodName]
     }
     // get validated options, do not set defaults which will come from module
-    options = getValidOptions(options)
+    options = getValidOptions(immutable, options)
     // attempt to create new module method
     method = module.method(signature.methodName, method, options)
     // do binds for method
-    doBindForMethod(signature.signature)
+    doBindForMethod(immutable, signature.signature)
     // set cache rules for method
-    doCacheForMethod(signature.signature)
+    doCacheForMethod(immutable, signature.signature)
     // return method
     return method
 }
@@ -520,6 +810,7 @@ function getMethod (signature, method, options) {
  * with the same name as well as if attempting to use the reserved words
  * defined in get-valid-name.
  *
+ * @param {object} immutable - data store
  * @param {string} name - name of module
  * @param {object} methods - module functions (optional)
  * @param {object} options - options (optional)
@@ -528,11 +819,11 @@ function getMethod (signature, method, options) {
  *
  * @throws {Error}
  */
-function getModule (name, methods, options) {
+function getModule (immutable, name, methods, options) {
     // throw error on invalid name
     requireValidName(name)
     // get validated options, set defaults
-    options = getValidOptions(options, true)
+    options = getValidOptions(immutable, options, true)
     // if no methods were passed then return module instance
     if (!defined(methods)) {
         // throw error if module not defined
@@ -547,28 +838,117 @@ function getModule (name, methods, options) {
         throw new Error(`module error: module already defined ${name}`)
     }
     // create new module
-    var module = immutable.modules[name] = new ImmutableCoreModule(name, options)
+    var module = immutable.modules[name] = new ImmutableCoreModule(name, options, immutable)
     // add methods to object
     _.each(methods, (method, methodName) => {
         // create new method use module options
         module.method(methodName, method, module.meta.options)
         // bind to method if it exists
-        doBindForMethod(`${name}.${methodName}`)
+        doBindForMethod(immutable, `${name}.${methodName}`)
+        // set cache rules for method
+        doCacheForMethod(immutable, `${name}.${methodName}`)
     })
     // return module
     return module
 }
 
+/**
+ * @function graph
+ *
+ * build graph of binds between module methods. nodes are created for all
+ * module methods and for the targets of binds to methods that are not yet
+ * defined. binds to wildcard patterns are shown with a node for the pattern
+ * which is defined if the pattern matches any methods. edges are created for
+ * all binds from the target method to the bound method and are labeled with
+ * the bind type.
+ *
+ * format may be json (default) which returns an object with nodes and
+ * edges, or dot or mermaid which return a string.
+ *
+ * @param {object} immutable - data store
+ * @param {object} args
+ * @param {string} args.format - json|dot|mermaid
+ *
+ * @returns {object|string}
+ *
+ * @throws {Error}
+ */
+function graph (immutable, args) {
+    // make sure args is object
+    args = requireValidOptionalObject(args)
+    // get format with json as default
+    var format = defined(args.format) ? args.format : 'json'
+    // require valid format
+    if (!defined(graphFormats[format])) {
+        throw new Error(`graph error: invalid format ${format}`)
+    }
+    // nodes indexed by signature
+    var nodes = {}
+    // add node for signature if it does not exist
+    var addNode = signature => {
+        if (!defined(nodes[signature])) {
+            // validate signature - allow wildcard patterns
+            signature = getValidSignature(signature, true)
+            nodes[signature.signature] = {
+                // pattern is defined if it matches any methods
+                defined: signature.wildcard
+                    ? getMatchingSignatures(immutable, signature.signature).length > 0
+                    : hasMethod(immutable, signature.signature),
+                id: signature.signature,
+                methodName: signature.methodName,
+                moduleName: signature.moduleName,
+                pattern: signature.wildcard,
+            }
+        }
+    }
+    // add nodes for all module methods
+    _.each(immutable.modules, (module, moduleName) => {
+        _.each(getModuleMethods(module), (method, methodName) => {
+            addNode(`${moduleName}.${methodName}`)
+        })
+    })
+    // edges from target method to bound method
+    var edges = []
+    // add edges for all binds
+    _.each(immutable.binds, (moduleBinds, moduleName) => {
+        _.each(moduleBinds, (methodBinds, methodName) => {
+            _.each(methodBinds, (bindTypeBinds, bindType) => {
+                _.each(bindTypeBinds, (bind, bindSignature) => {
+                    var signature = `${moduleName}.${methodName}`
+                    // add nodes for target and bound method
+                    addNode(signature)
+                    addNode(bindSignature)
+                    // add edge
+                    edges.push({
+                        bindType: bindType,
+                        from: signature,
+                        pending: !bind.bound,
+                        to: bindSignature,
+                    })
+                })
+            })
+        })
+    })
+    // build graph with stable ordering
+    var graphData = {
+        edges: _.sortBy(edges, ['from', 'to', 'bindType']),
+        nodes: _.sortBy(_.values(nodes), 'id'),
+    }
+    // convert to requested format
+    return graphFormats[format](graphData)
+}
+
 /**
  * @function hasFunction
  *
  * check if function exists.
  *
+ * @param {object} immutable - data store
  * @param {string} functionName
  *
  * @returns {boolean}
  */
-function hasFunction (functionName) {
+function hasFunction (immutable, functionName) {
     // check if function exists
     return defined(immutable.functions[functionName]) ? true : false
 }
@@ -580,13 +960,14 @@ function hasFunction (functionName) {
  *
  * throws error on invalid method signature.
  *
+ * @param {object} immutable - data store
  * @param {string} signature - ModuleName.methodName of method
  *
  * @returns {boolean}
  *
  * @throws {Error}
  */
-function hasMethod (signature) {
+function hasMethod (immutable, signature) {
     // convert signature string to method and function name
     signature = getValidSignature(signature)
     // get module
@@ -606,13 +987,14 @@ function hasMethod (signature) {
  *
  * throws error on invalid mdoule name.
  *
+ * @param {object} immutable - data store
  * @param {string} name - name of module
  *
  * @returns {boolean}
  *
  * @throws {Error}
  */
-function hasModule (name) {
+function hasModule (immutable, name) {
     // throw error on invalid name
     requireValidName(name)
     // check if module exists
@@ -624,54 +1006,305 @@ function hasModule (name) {
  *
  * set global flag for whether or not to use ImmutableAI
  *
+ * @param {object} immutable - data store
  * @param {boolean} bool
  *
  * @returns {ImmutableCore|boolean}
  */
-function immutableAI (immutableAI) {
+function immutableAI (immutable, immutableAI) {
     if (defined(immutableAI)) {
         // set default
         immutable.defaultImmutableAI = immutableAI
         // return immutable
-        return ImmutableCore
+        return containers.get(immutable)
     }
     // return default value
     return immutable.defaultImmutableAI
 }
 
+/**
+ * @function invalidate
+ *
+ * delete cached entry for call to method with args. the cache key is built
+ * the same way as when the method is called so args should include any
+ * keyParams for the cache rule. the cacheClient for the method must
+ * provide a del method.
+ *
+ * @param {object} immutable - data store
+ * @param {string} signature - moduleName.functionName of cached method
+ * @param {object} args - args for method call
+ *
+ * @returns {Promise}
+ *
+ * @throws {Error}
+ */
+function invalidate (immutable, signature, args) {
+    // get method - throws error if not defined
+    var method = getMethod(immutable, signature)
+    // get cache rule for method
+    var cache = method.meta.cache
+    // require method to be cached
+    if (!defined(cache)) {
+        throw new Error(`invalidate error: ${method.meta.signature} is not cached`)
+    }
+    // require cache client that can delete entries
+    if (typeof cache.cacheClient.del !== 'function') {
+        throw new Error(`invalidate error: cacheClient for ${method.meta.signature} does not provide del method`)
+    }
+    // shallow clone args so session can be added
+    args = _.clone(requireValidOptionalObject(args))
+    // use empty session if not set
+    if (!defined(args.session)) {
+        args.session = {}
+    }
+    // get cache key for args
+    var key = ImmutableCoreModule.getMethodCacheKey(args, method.meta)
+    // remove key from tag index
+    ImmutableCoreModule.removeCacheTagKey(immutable, key)
+    // delete cached entry
+    return Promise.resolve(cache.cacheClient.del(key, args.session))
+}
+
+/**
+ * @function invalidateTags
+ *
+ * delete all cached entries for any method that were stored with any of
+ * the tags. keys are removed from the tag index for all of their tags when
+ * they are invalidated. resolves with the number of entries deleted.
+ *
+ * @param {object} immutable - data store
+ * @param {array} tags - list of tag strings
+ * @param {object} session - session passed to cache client del
+ *
+ * @returns {Promise<integer>}
+ *
+ * @throws {Error}
+ */
+function invalidateTags (immutable, tags, session) {
+    // require array of strings
+    if (!Array.isArray(tags) || !_.every(tags, _.isString)) {
+        throw new Error('invalidateTags error: tags must be array of strings')
+    }
+    // use empty session if not set
+    if (!defined(session)) {
+        session = {}
+    }
+    // get cache client for each key with any tag
+    var keys = new Map()
+    // collect keys for tags - keys with multiple tags only deleted once
+    _.each(tags, tag => {
+        // get keys for tag
+        var tagKeys = immutable.cacheTags.get(tag)
+        // skip if tag not indexed
+        if (defined(tagKeys)) {
+            tagKeys.forEach(key => keys.set(key, undefined))
+        }
+    })
+    // remove keys from index for all of their tags
+    keys.forEach((cacheClient, key) => {
+        var entry = ImmutableCoreModule.removeCacheTagKey(immutable, key)
+        // entries that have expired do not need to be deleted
+        if (defined(entry.expires) && entry.expires <= Date.now()) {
+            keys.delete(key)
+        }
+        else {
+            keys.set(key, entry.cacheClient)
+        }
+    })
+    // delete all entries
+    return Promise.all(Array.from(keys, ([key, cacheClient]) => cacheClient.del(key, session)))
+    // resolve with number of entries deleted
+    .then(() => keys.size)
+}
+
 /**
  * @function logClient
  *
  * get/set the default log client
  *
+ * @param {object} immutable - data store
  * @param {object} logClient
  *
  * @returns {ImmutableCore|object}
  *
  * @throws {Error} on invalid logClient
  */
-function logClient (logClient) {
+function logClient (immutable, logClient) {
     if (defined(logClient)) {
         // validate that log client has required methods
         requireValidLogClient(logClient)
         // set default
         immutable.defaultLogClient = logClient
         // return immutable
-        return ImmutableCore
+        return containers.get(immutable)
     }
     // return default value
     return immutable.defaultLogClient
 }
 
+/**
+ * @function onError
+ *
+ * bind ImmutableCoreModule method to execute when the target
+ * ImmutableCoreModule method identified by signature rejects.
+ *
+ * bound method will be called with the args for the target method, the
+ * error and the session. if the bound method resolves with a value other
+ * than undefined the target method will resolve with that value. if the
+ * bound method rejects the target method will reject with that error.
+ * otherwise the target method will reject with the original error.
+ *
+ * @param {object} immutable - data store
+ * @oaram {string} signature - moduleName.functionName to bind to
+ * @param {function} method - ImmutableCoreModule method to bind
+ * @param {object} options - bind options (optional)
+ *
+ * @returns {ImmutableCore}
+ *
+ * @throws {Error}
+ */
+function onError (immutable, signature, method, options) {
+    return bind(immutable, 'onError', signature, method, options)
+}
+
+/**
+ * @function onErrorDetach
+ *
+ * bind ImmutableCoreModule method to execute when the target
+ * ImmutableCoreModule method identified by signature rejects.
+ *
+ * unlike `onError` methods `onErrorDetach` methods do not block rejection
+ * of the target method and cannot change its result.
+ *
+ * @param {object} immutable - data store
+ * @oaram {string} signature - moduleName.functionName to bind to
+ * @param {function} method - ImmutableCoreModule method to bind
+ * @param {object} options - bind options (optional)
+ *
+ * @returns {ImmutableCore}
+ *
+ * @throws {Error}
+ */
+function onErrorDetach (immutable, signature, method, options) {
+    return bind(immutable, 'onErrorDetach', signature, method, options)
+}
+
+/**
+ * @function pendingDetached
+ *
+ * get list of detached calls that have not settled. each entry has the
+ * signature of the target method, bindSignature of the bound method,
+ * bindType, and the startTime of the call. background refreshes of stale
+ * cache entries have bindType cacheRefresh.
+ *
+ * @param {object} immutable - data store
+ *
+ * @returns {array}
+ */
+function pendingDetached (immutable) {
+    return _.map(immutable.detached, entry => _.omit(entry, 'promise'))
+}
+
+/**
+ * @function propagateTimeout
+ *
+ * get/set the default value for propagating timeout deadline to nested
+ * calls on the session
+ *
+ * @param {object} immutable - data store
+ * @param {boolean} propagateTimeout
+ *
+ * @returns {ImmutableCore|boolean}
+ */
+function propagateTimeout (immutable, propagateTimeout) {
+    // set default if value passed
+    if (defined(propagateTimeout)) {
+        immutable.defaultPropagateTimeout = propagateTimeout ? true : false
+        // return immutable
+        return containers.get(immutable)
+    }
+    // return default value
+    return immutable.defaultPropagateTimeout
+}
+
+/**
+ * @function removeMethod
+ *
+ * remove method from module along with its cache rule, all methods bound to
+ * it, all binds where it is bound to other methods, and its args and return
+ * schemas.
+ *
+ * @param {object} immutable - data store
+ * @param {string} signature - ModuleName.methodName of method
+ *
+ * @returns {ImmutableCore}
+ *
+ * @throws {Error}
+ */
+function removeMethod (immutable, signature) {
+    // get method - throws error if not defined
+    var method = getMethod(immutable, signature)
+    // convert signature string to method and function name
+    signature = getValidSignature(signature)
+    // get module
+    var module = immutable.modules[signature.moduleName]
+    // remove binds where method is bound to other methods
+    removeBindsForMethod(immutable, signature.signature)
+    // remove binds to method and cache rule
+    _.each([immutable.binds, immutable.caches], store => {
+        _.unset(store, [signature.moduleName, signature.methodName])
+        // remove module entry if empty
+        if (_.isEmpty(store[signature.moduleName])) {
+            delete store[signature.moduleName]
+        }
+    })
+    // remove schemas from validator
+    removeMethodSchemas(method)
+    // remove method from module
+    delete module[signature.methodName]
+    // return immutable
+    return containers.get(immutable)
+}
+
+/**
+ * @function removeModule
+ *
+ * remove module and all of its methods along with any binds and cache rules
+ * defined for the module.
+ *
+ * @param {object} immutable - data store
+ * @param {string} name - name of module
+ *
+ * @returns {ImmutableCore}
+ *
+ * @throws {Error}
+ */
+function removeModule (immutable, name) {
+    // get module - throws error if not defined
+    var module = getModule(immutable, name)
+    // remove all methods
+    _.each(_.keys(getModuleMethods(module)), methodName => {
+        removeMethod(immutable, `${name}.${methodName}`)
+    })
+    // remove any remaining binds and cache rules for methods not defined
+    delete immutable.binds[name]
+    delete immutable.caches[name]
+    // remove module
+    delete immutable.modules[name]
+    // return immutable
+    return containers.get(immutable)
+}
+
 /**
  * @function reset
  *
  * clear global data: binds, caches, modules
  *
+ * @param {object} immutable - data store
+ *
  * @returns {ImmutableCore}
  */
-function reset () {
-    var immutable = global.__immutable_core__
+function reset (immutable) {
     // default options
     immutable.defaultAjv = new Ajv({
         allErrors: true,
@@ -687,17 +1320,30 @@ function reset () {
     immutable.defaultFreezeData = true
     immutable.defaultImmutableAI = true
     immutable.defaultLogClient = undefined
+    immutable.defaultPropagateTimeout = false
     immutable.defaultResolve = false
     immutable.defaultStrictArgs = true
+    immutable.defaultTimeout = undefined
     immutable.defaultValidateArgs = true
     immutable.defaultValidateReturn = true
     // global data stores
     immutable.binds = {}
     immutable.caches = {}
     immutable.functions = {}
+    immutable.invalidations = {}
     immutable.modules = {}
+    // detached calls that have not settled
+    immutable.detached = []
+    // cache keys indexed by tag
+    immutable.cacheTags = new Map()
+    // cache client, expiration and tags indexed by cache key
+    immutable.cacheTagKeys = new Map()
+    // in-flight calls for coalesced cache misses indexed by key
+    immutable.cacheInflight = new Map()
+    // keys of stale cache entries being refreshed
+    immutable.cacheRefreshing = new Set()
     // return immutable
-    return ImmutableCore
+    return containers.get(immutable)
 }
 
 /**
@@ -705,26 +1351,72 @@ function reset () {
  *
  * get/set the default resolve option
  *
+ * @param {object} immutable - data store
  * @param {boolean} resolve
  *
  * @returns {ImmutableCore|boolean}
  */
-function resolve (resolve) {
+function resolve (immutable, resolve) {
     if (defined(resolve)) {
         // set default
         immutable.defaultResolve = resolve ? true : false
         // return immutable
-        return ImmutableCore
+        return containers.get(immutable)
     }
     // return default value
     return immutable.defaultResolve
 }
 
+/**
+ * @function restore
+ *
+ * restore data store to the state captured by snapshot. modules that were
+ * defined when the snapshot was taken keep their identity and have their
+ * methods, binds, cache rules and data restored. modules, methods,
+ * functions, binds, and cache rules added after the snapshot are removed.
+ *
+ * a snapshot can be restored any number of times.
+ *
+ * @param {object} immutable - data store
+ * @param {object} token - token returned by snapshot
+ *
+ * @returns {ImmutableCore}
+ *
+ * @throws {Error}
+ */
+function restore (immutable, token) {
+    // get snapshot data
+    var snapshotData = defined(token) && typeof token === 'object' ? snapshots.get(token) : undefined
+    // require valid snapshot for this container
+    if (!defined(snapshotData) || snapshotData.immutable !== immutable) {
+        throw new Error('restore error: invalid snapshot')
+    }
+    // remove schemas for methods added after snapshot
+    _.each(immutable.modules, (module, moduleName) => {
+        _.each(getModuleMethods(module), (method, methodName) => {
+            if (!defined(_.get(snapshotData.modules, [moduleName, 'methods', methodName]))) {
+                removeMethodSchemas(method)
+            }
+        })
+    })
+    // restore default options
+    _.assign(immutable, snapshotData.defaults)
+    // restore global data stores
+    immutable.binds = cloneStore(snapshotData.binds, 3)
+    immutable.caches = cloneStore(snapshotData.caches, 1)
+    immutable.functions = _.clone(snapshotData.functions)
+    immutable.invalidations = cloneStore(snapshotData.invalidations, 0)
+    immutable.modules = _.mapValues(snapshotData.modules, restoreModule)
+    // return immutable
+    return containers.get(immutable)
+}
+
 /**
  * @function setData
  *
  * set global data for module
  *
+ * @param {object} immutable - data store
  * @param {string} moduleName
  * @param {object} data
  *
@@ -732,85 +1424,153 @@ function resolve (resolve) {
  *
  * @throws {Error}
  */
-function setData (moduleName, data) {
+function setData (immutable, moduleName, data) {
     // get module - throws error if not defined
-    var module = getModule(moduleName)
+    var module = getModule(immutable, moduleName)
     // set data
     module.meta.data = data
     // return module
-    return ImmutableCore
+    return containers.get(immutable)
 }
 
 /**
- * @function strictArgs
+ * @function snapshot
  *
- * get/set the default value for strict args
+ * capture current state of modules, methods, binds, cache rules, functions,
+ * module data and default options. returns opaque token that can be passed
+ * to restore.
  *
- * @param {boolean} strictArgs
+ * @param {object} immutable - data store
  *
- * @returns {ImmutableCore|boolean}
+ * @returns {object}
  */
-function strictArgs (strictArgs) {
-    // set default if value passed
-    if (defined(strictArgs)) {
+function snapshot (immutable) {
+    // create opaque token
+    var token = Object.freeze({})
+    // store copy of data store indexed by token
+    snapshots.set(token, {
+        binds: cloneStore(immutable.binds, 3),
+        caches: cloneStore(immutable.caches, 1),
+        defaults: _.pick(immutable, _.values(defaultOptions)),
+        functions: _.clone(immutable.functions),
+        // data store snapshot was taken from
+        immutable: immutable,
+        invalidations: cloneStore(immutable.invalidations, 0),
+        modules: _.mapValues(immutable.modules, snapshotModule),
+    })
+    // return token
+    return token
+}
+
+/**
+ * @function strictArgs
+ *
+ * get/set the default value for strict args
+ *
+ * @param {object} immutable - data store
+ * @param {boolean} strictArgs
+ *
+ * @returns {ImmutableCore|boolean}
+ */
+function strictArgs (immutable, strictArgs) {
+    // set default if value passed
+    if (defined(strictArgs)) {
         immutable.defaultStrictArgs = strictArgs ? true : false
         // return immutable
-        return ImmutableCore
+        return containers.get(immutable)
     }
     // return default value
     return immutable.defaultStrictArgs
 }
 
 /**
- * @function with
- *
- * bind ImmutableCoreModule method to execute at the same time as the target
- * ImmutableCoreModule method identified by signature.
- *
- * bound method will execute after any methods bound before the target method
- * and will recieve the same args as the target method.
+ * @function timeout
  *
- * resolution of the target method call will not complete until the bound
- * method resolves. if the with method rejects the target method will reject.
- *
- * data return by with method will be merged into the data returned by the
- * target method if both methods return objects.
+ * get/set the default ms before method calls reject with TimeoutError
  *
- * @oaram {string} signature - moduleName.functionName to bind to
- * @param {function} method - ImmutableCoreModule method to bind
+ * @param {object} immutable - data store
+ * @param {number} timeout
  *
- * @returns {ImmutableCore}
+ * @returns {ImmutableCore|number}
  *
- * @throws {Error}
+ * @throws {Error} on invalid timeout
  */
-function _with (signature, method) {
-    return bind('with', signature, method)
+function timeout (immutable, timeout) {
+    // set default if value passed
+    if (defined(timeout)) {
+        // require positive number
+        if (!ImmutableCoreModule.isValidTimeout(timeout)) {
+            throw new Error('timeout error: timeout must be positive number')
+        }
+        immutable.defaultTimeout = timeout
+        // return immutable
+        return containers.get(immutable)
+    }
+    // return default value
+    return immutable.defaultTimeout
 }
 
 /**
- * @function withDetach
+ * @function unbind
  *
- * bind ImmutableCoreModule method to execute at the same time as the target
- * ImmutableCoreModule method identified by signature.
+ * remove ImmutableCoreModule method bound to the target ImmutableCoreModule
+ * method identified by signature with the given bindType.
  *
- * bound method will execute after any methods bound before the target method
- * and will recieve the same args as the target method.
+ * bind will be removed from the global bind store and from the target method
+ * if the target method is defined.
  *
- * unlike with methods withDetach methods do not block resolution of the
- * target method and if they reject this will not result in the target
- * method rejecting.
- *
- * any data return will be ignored.
+ * an error will be thrown if the method is not bound.
  *
- * @oaram {string} signature - moduleName.functionName to bind to
- * @param {function} method - ImmutableCoreModule method to bind
+ * @param {object} immutable - data store
+ * @param {string} bindType - bind type used when binding method
+ * @oaram {string} signature - moduleName.functionName bound to
+ * @param {function} method - ImmutableCoreModule method to unbind
  *
  * @returns {ImmutableCore}
  *
  * @throws {Error}
  */
-function withDetach (signature, method) {
-    return bind('withDetach', signature, method)
+function unbind (immutable, bindType, signature, method) {
+    // validate signature - allow wildcard patterns
+    signature = getValidSignature(signature, true)
+    // require valid bind type
+    if (!defined(ImmutableCoreModule.bindTypes[bindType])) {
+        throw new Error(`unbind error: invalid bind type ${bindType}`)
+    }
+    // require valid bind method
+    if (typeof method !== 'function' || !defined(method.meta)) {
+        throw new Error('invalid bind method')
+    }
+    // get global bind entry
+    var globalBind = _.get(immutable.binds, [signature.moduleName, signature.methodName, bindType, method.meta.signature])
+    // require method to be bound
+    if (!defined(globalBind)) {
+        throw new Error(`unbind error: method ${method.meta.signature} not bound ${bindType} to ${signature.signature}`)
+    }
+    // remove wildcard bind from all methods it has been applied to
+    if (signature.wildcard) {
+        _.each(getMatchingSignatures(immutable, signature.signature), targetSignature => {
+            // skip methods where method is also bound with exact signature
+            if (defined(_.get(immutable.binds, targetSignature.split('.').concat(bindType, method.meta.signature)))) {
+                return
+            }
+            // remove bind from method if bound
+            ImmutableCoreModule.removeMethodBind(getMethod(immutable, targetSignature), bindType, method)
+        })
+        // remove from global bind store
+        ImmutableCoreModule.removeGlobalBind(immutable.binds, signature.moduleName, signature.methodName, bindType, method.meta.signature)
+    }
+    // remove exact bind
+    else {
+        // if bind has been applied to target method then remove from method
+        if (globalBind.bound) {
+            ImmutableCoreModule.removeMethodBind(getMethod(immutable, signature.signature), bindType, method)
+        }
+        // remove from global bind store
+        ImmutableCoreModule.removeGlobalBind(immutable.binds, signature.moduleName, signature.methodName, bindType, method.meta.signature)
+    }
+    // return immutable
+    return containers.get(immutable)
 }
 
 /**
@@ -818,16 +1578,17 @@ function withDetach (signature, method) {
  *
  * get/set the default value for json schema validation of args values
  *
+ * @param {object} immutable - data store
  * @param {boolean} validateArgs
  *
  * @returns {ImmutableCore|boolean}
  */
-function validateArgs (validateArgs) {
+function validateArgs (immutable, validateArgs) {
     // set default if value passed
     if (defined(validateArgs)) {
         immutable.defaultValidateArgs = validateArgs ? true : false
         // return immutable
-        return ImmutableCore
+        return containers.get(immutable)
     }
     // return default value
     return immutable.defaultValidateArgs
@@ -838,21 +1599,179 @@ function validateArgs (validateArgs) {
  *
  * get/set the default value for json schema validation of return values
  *
+ * @param {object} immutable - data store
  * @param {boolean} validateReturn
  *
  * @returns {ImmutableCore|boolean}
  */
-function validateReturn (validateReturn) {
+function validateReturn (immutable, validateReturn) {
     // set default if value passed
     if (defined(validateReturn)) {
         immutable.defaultValidateReturn = validateReturn ? true : false
         // return immutable
-        return ImmutableCore
+        return containers.get(immutable)
     }
     // return default value
     return immutable.defaultValidateReturn
 }
 
+/**
+ * @function verify
+ *
+ * check for binds and cache rules that have not been applied because the
+ * target method is not defined, binds where the module of the bound method
+ * is not defined, and cache rules that do not have a cache client.
+ *
+ * should be called once all modules have been loaded.
+ *
+ * each error is an object with type (bind, boundMethod, cache,
+ * cacheClient), signature, message, and bindType and bindSignature for
+ * bind errors.
+ *
+ * if the strict option is set an error will be thrown if there are any
+ * errors. the list of errors will be set on error.data.
+ *
+ * @param {object} immutable - data store
+ * @param {object} args
+ * @param {boolean} args.strict
+ *
+ * @returns {array}
+ *
+ * @throws {Error}
+ */
+function verify (immutable, args) {
+    // make sure args is object
+    args = requireValidOptionalObject(args)
+    // list of errors
+    var errors = []
+    // check binds
+    _.each(immutable.binds, (moduleBinds, moduleName) => {
+        _.each(moduleBinds, (methodBinds, methodName) => {
+            _.each(methodBinds, (bindTypeBinds, bindType) => {
+                _.each(bindTypeBinds, (bind, bindSignature) => {
+                    var signature = `${moduleName}.${methodName}`
+                    // bind has not been applied to target
+                    if (!bind.bound) {
+                        errors.push({
+                            bindSignature: bindSignature,
+                            bindType: bindType,
+                            message: `${bindSignature} bound ${bindType} to ${signature} which is not defined`,
+                            signature: signature,
+                            type: 'bind',
+                        })
+                    }
+                    // module of bound method is not defined
+                    if (!defined(immutable.modules[bind.method.meta.moduleName])) {
+                        errors.push({
+                            bindSignature: bindSignature,
+                            bindType: bindType,
+                            message: `${bindSignature} bound ${bindType} to ${signature} is from module that is not defined`,
+                            signature: signature,
+                            type: 'boundMethod',
+                        })
+                    }
+                })
+            })
+        })
+    })
+    // check cache rules
+    _.each(immutable.caches, (moduleCaches, moduleName) => {
+        _.each(moduleCaches, (cache, methodName) => {
+            var signature = `${moduleName}.${methodName}`
+            // cache rule has been applied so cache client is valid
+            if (cache.cached) {
+                return
+            }
+            // cache rule has not been applied
+            errors.push({
+                message: `cache rule for ${signature} which is not defined`,
+                signature: signature,
+                type: 'cache',
+            })
+            // get cache client from rule, module, or global default
+            var module = immutable.modules[moduleName]
+            var cacheClient = defined(cache.cache.cacheClient)
+                ? cache.cache.cacheClient
+                : defined(module) ? module.meta.options.cacheClient : immutable.defaultCacheClient
+            // cache rule will fail when applied without cache client
+            if (!defined(cacheClient)) {
+                errors.push({
+                    message: `cache rule for ${signature} has no cache client`,
+                    signature: signature,
+                    type: 'cacheClient',
+                })
+            }
+        })
+    })
+    // throw error in strict mode
+    if (args.strict && errors.length > 0) {
+        // create error
+        var error = new Error(`verify error: ${_.map(errors, 'message').join(', ')}`)
+        // add errors to error data
+        error.data = errors
+        // throw error
+        throw error
+    }
+    // return list of errors
+    return errors
+}
+
+/**
+ * @function with
+ *
+ * bind ImmutableCoreModule method to execute at the same time as the target
+ * ImmutableCoreModule method identified by signature.
+ *
+ * bound method will execute after any methods bound before the target method
+ * and will recieve the same args as the target method.
+ *
+ * resolution of the target method call will not complete until the bound
+ * method resolves. if the with method rejects the target method will reject.
+ *
+ * data return by with method will be merged into the data returned by the
+ * target method if both methods return objects.
+ *
+ * @param {object} immutable - data store
+ * @oaram {string} signature - moduleName.functionName to bind to
+ * @param {function} method - ImmutableCoreModule method to bind
+ * @param {object} options - bind options (optional)
+ *
+ * @returns {ImmutableCore}
+ *
+ * @throws {Error}
+ */
+function _with (immutable, signature, method, options) {
+    return bind(immutable, 'with', signature, method, options)
+}
+
+/**
+ * @function withDetach
+ *
+ * bind ImmutableCoreModule method to execute at the same time as the target
+ * ImmutableCoreModule method identified by signature.
+ *
+ * bound method will execute after any methods bound before the target method
+ * and will recieve the same args as the target method.
+ *
+ * unlike with methods withDetach methods do not block resolution of the
+ * target method and if they reject this will not result in the target
+ * method rejecting.
+ *
+ * any data return will be ignored.
+ *
+ * @param {object} immutable - data store
+ * @oaram {string} signature - moduleName.functionName to bind to
+ * @param {function} method - ImmutableCoreModule method to bind
+ * @param {object} options - bind options (optional)
+ *
+ * @returns {ImmutableCore}
+ *
+ * @throws {Error}
+ */
+function withDetach (immutable, signature, method, options) {
+    return bind(immutable, 'withDetach', signature, method, options)
+}
+
 /* private functions */
 
 /**
@@ -866,21 +1785,73 @@ function validateReturn (validateReturn) {
  * if the target method has not yet been created then bind will occur if and
  * when the method is created.
  *
+ * an error will be thrown if the bind would create a cycle where the target
+ * method is called again by the bound method's binds unless the allowCycle
+ * option is set.
+ *
+ * signature may be a wildcard pattern (moduleName.*, *.functionName, *.*)
+ * in which case the method will be bound to all existing and future methods
+ * that match the pattern except for the bound method itself and any
+ * methods matching the patterns in the exclude option.
+ *
+ * @param {object} immutable - data store
  * @param {string} bindType - when and how to bind
  * @param {string} signature - moduleName.functionName to bind to
  * @param {function} method - function to bind
+ * @param {object} options - bind options (optional)
  *
  * @returns {ImmutableCore}
  *
  * @throws {Error}
  */
-function bind (bindType, signature, method) {
-    // validate signature
-    signature = getValidSignature(signature)
+function bind (immutable, bindType, signature, method, options) {
+    // validate signature - allow wildcard patterns
+    signature = getValidSignature(signature, true)
     // require valid bind method
     if (typeof method !== 'function' || !defined(method.meta)) {
         throw new Error('invalid bind method')
     }
+    // make sure options is object
+    options = requireValidOptionalObject(options)
+    // require valid priority
+    if (defined(options.priority) && typeof options.priority !== 'number') {
+        throw new Error('bind error: priority must be number')
+    }
+    // require valid option functions
+    _.each(ImmutableCoreModule.bindFunctionOptions, optionName => {
+        if (defined(options[optionName]) && typeof options[optionName] !== 'function') {
+            throw new Error(`bind error: ${optionName} must be function`)
+        }
+    })
+    // require valid merge strategy
+    if (defined(options.merge) && !ImmutableCoreModule.isValidMerge(options.merge)) {
+        throw new Error(`bind error: invalid merge ${options.merge}`)
+    }
+    // require valid timeout
+    if (defined(options.timeout) && !ImmutableCoreModule.isValidTimeout(options.timeout)) {
+        throw new Error('bind error: timeout must be positive number')
+    }
+    // require valid retry options
+    if (defined(options.retry)) {
+        var retryError = ImmutableCoreModule.getRetryError(bindType, options.retry)
+        if (defined(retryError)) {
+            throw new Error(`bind error: ${retryError}`)
+        }
+    }
+    // require valid allowCycle
+    if (defined(options.allowCycle) && !ImmutableCoreModule.isValidAllowCycle(options.allowCycle)) {
+        throw new Error('bind error: allowCycle must be boolean or object with positive integer maxDepth')
+    }
+    // require valid exclude list
+    if (defined(options.exclude)) {
+        if (!Array.isArray(options.exclude)) {
+            throw new Error('bind error: exclude must be array')
+        }
+        // require each exclude to be valid signature or pattern
+        _.each(options.exclude, exclude => getValidSignature(exclude, true))
+    }
+    // throw error if bind would create cycle
+    ImmutableCoreModule.requireNoBindCycle(immutable.binds, bindType, signature.signature, method.meta.signature, options)
     // create bind entry for module if it does not exist
     if (!defined(immutable.binds[signature.moduleName])) {
         immutable.binds[signature.moduleName] = {}
@@ -904,52 +1875,251 @@ function bind (bindType, signature, method) {
     bindTypeBinds[method.meta.signature] = {
         bound: false,
         method: method,
+        options: options,
+    }
+    // bind to all existing methods matching pattern
+    if (signature.wildcard) {
+        _.each(getMatchingSignatures(immutable, signature.signature), signature => doBindForMethod(immutable, signature))
     }
     // bind to method if it exists
-    doBindForMethod(signature.signature)
+    else {
+        doBindForMethod(immutable, signature.signature)
+    }
     // return immutable
+    return containers.get(immutable)
+}
+
+/**
+ * @function cloneMethodMeta
+ *
+ * clone method meta property captured by snapshots. bind lists are cloned,
+ * bind options are cloned for each bind type, and cache rule is not cloned.
+ *
+ * @param {string} key
+ * @param {any} value
+ *
+ * @returns {any}
+ */
+function cloneMethodMeta (key, value) {
+    // clone bind options for each bind type
+    if (key === 'bindOptions') {
+        return cloneStore(value, 0)
+    }
+    // clone bind lists
+    return Array.isArray(value) ? _.clone(value) : value
+}
+
+/**
+ * @function cloneStore
+ *
+ * clone nested global data store (e.g. binds, caches) to the given depth. the
+ * entries at the deepest level are shallow cloned.
+ *
+ * @param {object} store
+ * @param {integer} depth
+ *
+ * @returns {object}
+ */
+function cloneStore (store, depth) {
+    return _.mapValues(store, value => depth > 0 ? cloneStore(value, depth - 1) : _.clone(value))
+}
+
+/**
+ * @function createImmutableCore
+ *
+ * create ImmutableCore instance that uses the given data store. public
+ * functions are bound to the data store. data store will be initialized if it
+ * is empty.
+ *
+ * @param {object} immutable - data store
+ *
+ * @returns {ImmutableCore}
+ */
+function createImmutableCore (immutable) {
+    // bind public functions to data store
+    const ImmutableCore = _.mapValues(publicFunctions, func => func.bind(null, immutable))
+    // create isolated container - not bound to data store
+    ImmutableCore.createContainer = createContainer
+    // error classes
+    ImmutableCore.AbortError = AbortError
+    ImmutableCore.TimeoutError = TimeoutError
+    // built-in cache client
+    ImmutableCore.MemoryCacheClient = MemoryCacheClient
+    // class properties
+    ImmutableCore.ImmutableCore = true
+    ImmutableCore.class = 'ImmutableCore'
+    // store instance for data store
+    containers.set(immutable, ImmutableCore)
+    // resolve ImmutableAI calls from modules in data store with instance
+    containerImmutableAI.setContainer(immutable, ImmutableCore)
+    // initialize data store if not already initialized
+    if (!defined(immutable.modules)) {
+        reset(immutable)
+    }
+    // return new instance
     return ImmutableCore
 }
 
+/**
+ * @function describeMethod
+ *
+ * get serializable description of method including the options of each
+ * bind to the method
+ *
+ * @param {function} method
+ *
+ * @returns {object}
+ */
+function describeMethod (method) {
+    var methodMeta = method.meta
+    // get signatures of bound methods for each bind type
+    var binds = {}
+    // get options for each bind indexed by bind type and bound signature
+    var bindOptions = {}
+    _.each(ImmutableCoreModule.bindTypes, (val, bindType) => {
+        if (defined(methodMeta[bindType])) {
+            binds[bindType] = _.map(methodMeta[bindType], boundMethod => boundMethod.meta.signature)
+            bindOptions[bindType] = _.fromPairs(_.map(binds[bindType], bindSignature => {
+                var options = _.get(methodMeta, ['bindOptions', bindType, bindSignature])
+                var bindDescription = describeOptions(options)
+                // describe retry options instead of replacing with flag
+                if (defined(bindDescription.retry)) {
+                    bindDescription.retry = describeOptions(options.retry)
+                }
+                return [bindSignature, bindDescription]
+            }))
+        }
+    })
+    // build description
+    var description = {
+        bindOptions: bindOptions,
+        binds: binds,
+        methodName: methodMeta.methodName,
+        moduleName: methodMeta.moduleName,
+        options: describeOptions(_.pick(methodMeta, [
+            'ajv',
+            'automock',
+            'freeze',
+            'immutableAI',
+            'logClient',
+            'merge',
+            'propagateTimeout',
+            'resolve',
+            'sequential',
+            'strictArgs',
+            'timeout',
+            'validateArgs',
+            'validateReturn',
+        ])),
+        schema: _.cloneDeep(methodMeta.schema),
+        signature: methodMeta.signature,
+    }
+    // add cache rule if set
+    if (defined(methodMeta.cache)) {
+        description.cache = describeOptions(_.omit(methodMeta.cache, 'cached'))
+    }
+    // return description
+    return description
+}
+
+/**
+ * @function describeModule
+ *
+ * get serializable description of module and its methods
+ *
+ * @param {ImmutableCoreModule} module
+ *
+ * @returns {object}
+ */
+function describeModule (module) {
+    // build description
+    return {
+        dataId: module.meta.dataId,
+        methods: _.mapValues(getModuleMethods(module), describeMethod),
+        name: module.meta.name,
+        options: describeOptions(module.meta.options),
+    }
+}
+
+/**
+ * @function describeOptions
+ *
+ * convert options to serializable values. undefined options are removed,
+ * arrays are cloned and other objects and functions are replaced by true.
+ *
+ * @param {object} options
+ *
+ * @returns {object}
+ */
+function describeOptions (options) {
+    // remove options that are not set
+    options = _.omitBy(options, value => value === undefined)
+    // convert remaining options
+    return _.mapValues(options, value => {
+        // clone arrays (e.g. keyParams)
+        if (Array.isArray(value)) {
+            return _.clone(value)
+        }
+        // replace objects and functions with flag
+        if (typeof value === 'object' || typeof value === 'function') {
+            return value !== null
+        }
+        // use primitive values as is
+        return value
+    })
+}
+
 /**
  * @function doBindForMethod
  *
+ * @param {object} immutable - data store
  * @param {string} signature - moduleName.functionName to do bind(s) for
  *
  * @throws {Error}
  */
-function doBindForMethod (signature) {
+function doBindForMethod (immutable, signature) {
     // validate signature
     signature = getValidSignature(signature)
     // if method is not defined do nothing
-    if (!hasMethod(signature.signature)) {
+    if (!hasMethod(immutable, signature.signature)) {
         return
     }
     // get method and module
-    var method = getMethod(signature.signature)
-    var module = getModule(signature.moduleName)
-    // skip if no binds for module
-    if (!defined(immutable.binds[signature.moduleName])) {
-        return
-    }
-    // skip if no binds for method
-    if (!defined(immutable.binds[signature.moduleName][signature.methodName])) {
-        return
-    }
-    // get all binds for method indexed by bind method
-    var bindTypeBinds = immutable.binds[signature.moduleName][signature.methodName]
-    // iterate over each bind method
-    _.each(bindTypeBinds, (boundMethods, bindType) => {
-        // iterate over each bind
-        _.each(boundMethods, boundMethod => {
-            // do nothing if already bound
-            if (boundMethod.bound) {
-                return
-            }
-            // bind method
-            module.bind(bindType, signature.methodName, boundMethod.method)
-            // set bound flag
-            boundMethod.bound = true
+    var method = getMethod(immutable, signature.signature)
+    var module = getModule(immutable, signature.moduleName)
+    // do binds for method followed by wildcard patterns matching method
+    _.each(getSignaturePatterns(signature.signature), pattern => {
+        // get all binds for pattern indexed by bind method
+        var bindTypeBinds = _.get(immutable.binds, pattern.split('.'))
+        // iterate over each bind method
+        _.each(bindTypeBinds, (boundMethods, bindType) => {
+            // iterate over each bind
+            _.each(boundMethods, (boundMethod, bindSignature) => {
+                // bind to method
+                if (pattern === signature.signature) {
+                    // do nothing if already bound
+                    if (boundMethod.bound) {
+                        return
+                    }
+                    // bind method
+                    module.bind(bindType, signature.methodName, boundMethod.method, boundMethod.options)
+                }
+                // bind to wildcard pattern
+                else {
+                    // do nothing if pattern does not apply to method
+                    if (!ImmutableCoreModule.isWildcardBindTarget(pattern, signature.signature, bindSignature, boundMethod.options)) {
+                        return
+                    }
+                    // do nothing if already bound to method
+                    if (_.some(method.meta[bindType], m => m.meta.signature === bindSignature)) {
+                        return
+                    }
+                    // add bind to method without adding to global binds
+                    ImmutableCoreModule.addMethodBind(method, bindType, boundMethod.method, boundMethod.options)
+                }
+                // set bound flag
+                boundMethod.bound = true
+            })
         })
     })
 }
@@ -957,41 +2127,112 @@ function doBindForMethod (signature) {
 /**
  * @function doCacheForMethod
  *
+ * @param {object} immutable - data store
  * @param {string} signature - moduleName.functionName to set cache rule for
  *
  * @throws {Error}
  */
-function doCacheForMethod (signature) {
+function doCacheForMethod (immutable, signature) {
     // validate signature
     signature = getValidSignature(signature)
     // if method is not defined do nothing
-    if (!hasMethod(signature.signature)) {
+    if (!hasMethod(immutable, signature.signature)) {
         return
     }
     // get method and module
-    var method = getMethod(signature.signature)
-    var module = getModule(signature.moduleName)
-    // skip if no caches for module
-    if (!defined(immutable.caches[signature.moduleName])) {
-        return
-    }
+    var method = getMethod(immutable, signature.signature)
+    var module = getModule(immutable, signature.moduleName)
+    // get cache rule for method or most specific wildcard pattern
+    var pattern = _.find(getSignaturePatterns(signature.signature), pattern => {
+        return defined(_.get(immutable.caches, pattern.split('.')))
+    })
     // skip if no caches for method
-    if (!defined(immutable.caches[signature.moduleName][signature.methodName])) {
+    if (!defined(pattern)) {
         return
     }
     // get cache entry
-    var cache = immutable.caches[signature.moduleName][signature.methodName]
+    var cache = _.get(immutable.caches, pattern.split('.'))
     // set cache rule on method
-    module.cache(signature.methodName, cache.cache)
+    if (pattern === signature.signature) {
+        module.cache(signature.methodName, cache.cache)
+    }
+    // set wildcard cache rule on method without adding to global caches
+    else {
+        // do nothing if method already cached
+        if (defined(method.meta.cache)) {
+            return
+        }
+        // clone rule so that cache client can be set from module
+        var methodCache = _.clone(cache.cache)
+        // set default cacheClient if not defined
+        if (!defined(methodCache.cacheClient)) {
+            methodCache.cacheClient = module.meta.options.cacheClient
+        }
+        // validate cache client
+        requireValidCacheClient(methodCache.cacheClient)
+        // register methods that invalidate cache
+        ImmutableCoreModule.addCacheInvalidations(immutable, signature.signature, methodCache)
+        // set cache for method
+        method.meta.cache = methodCache
+    }
     // set cached flag true now that cache rule added
     cache.cached = true
 }
 
+/**
+ * @function getGlobalStore
+ *
+ * return global singleton data store - create if not defined
+ *
+ * @returns {object}
+ */
+function getGlobalStore () {
+    // create global data object if not defined
+    if (!defined(global.__immutable_core__)) {
+        global.__immutable_core__ = {}
+    }
+    // return global data
+    return global.__immutable_core__
+}
+
+/**
+ * @function getMatchingSignatures
+ *
+ * get signatures of all defined methods that match signature pattern
+ *
+ * @param {object} immutable - data store
+ * @param {string} pattern - signature pattern with optional wildcards
+ *
+ * @returns {array}
+ */
+function getMatchingSignatures (immutable, pattern) {
+    // get signatures of all defined methods
+    var signatures = _.flatMap(immutable.modules, module => {
+        return _.map(getModuleMethods(module), method => method.meta.signature)
+    })
+    // return signatures matching pattern
+    return _.filter(signatures, signature => matchSignature(pattern, signature))
+}
+
+/**
+ * @function getModuleMethods
+ *
+ * get all methods defined on module
+ *
+ * @param {ImmutableCoreModule} module
+ *
+ * @returns {object}
+ */
+function getModuleMethods (module) {
+    return _.pickBy(module, method => typeof method === 'function' && defined(method.meta))
+}
+
 /**
  * @function getValidOptions
  *
  * validate options param and set defaults
  *
+ * @param {object} immutable - data store
  * @param {*} options
  * @param {boolean} setDefaults
  *
@@ -999,7 +2240,7 @@ function doCacheForMethod (signature) {
  *
  * @throws {Error} on invalid arguments
  */
-function getValidOptions (options, setDefaults) {
+function getValidOptions (immutable, options, setDefaults) {
     // make sure options is object
     options = requireValidOptionalObject(options)
     // validate automock if passed
@@ -1016,6 +2257,14 @@ function getValidOptions (options, setDefaults) {
     if (defined(options.logClient)) {
         requireValidLogClient(options.logClient)
     }
+    // validate timeout if passed
+    if (defined(options.timeout) && !ImmutableCoreModule.isValidTimeout(options.timeout)) {
+        throw new Error('options error: timeout must be positive number')
+    }
+    // validate merge strategy if passed
+    if (defined(options.merge) && !ImmutableCoreModule.isValidMerge(options.merge)) {
+        throw new Error(`options error: invalid merge ${options.merge}`)
+    }
 
     // do not set default values unless flag set
     if (!setDefaults) {
@@ -1031,4 +2280,184 @@ function getValidOptions (options, setDefaults) {
 
     // return options
     return options
+}
+
+/**
+ * @function graphToDot
+ *
+ * convert bind graph to graphviz dot format. methods that are not defined and
+ * binds that are pending are drawn with dashed lines. patterns are drawn as
+ * hexagons.
+ *
+ * @param {object} graph
+ *
+ * @returns {string}
+ */
+function graphToDot (graph) {
+    var lines = ['digraph immutable {']
+    // add nodes
+    _.each(graph.nodes, node => {
+        // draw patterns as hexagons and methods not defined as dashed
+        var attrs = _.compact([node.pattern && 'shape=hexagon', !node.defined && 'style=dashed'])
+        lines.push(`    "${node.id}"${attrs.length ? ` [${attrs.join(', ')}]` : ''};`)
+    })
+    // add edges
+    _.each(graph.edges, edge => {
+        lines.push(`    "${edge.from}" -> "${edge.to}" [label="${edge.bindType}"${edge.pending ? ', style=dashed' : ''}];`)
+    })
+    lines.push('}')
+    // return dot string
+    return lines.join('\n')
+}
+
+/**
+ * @function graphToMermaid
+ *
+ * convert bind graph to mermaid flowchart format. methods that are not defined
+ * and binds that are pending are drawn with dashed lines. patterns are drawn
+ * as hexagons.
+ *
+ * @param {object} graph
+ *
+ * @returns {string}
+ */
+function graphToMermaid (graph) {
+    var lines = ['graph LR']
+    // mermaid node ids indexed by signature
+    var ids = {}
+    // add nodes
+    _.each(graph.nodes, (node, index) => {
+        var id = ids[node.id] = `n${index}`
+        // draw patterns as hexagons
+        var label = node.pattern ? `{{"${node.id}"}}` : `["${node.id}"]`
+        lines.push(`    ${id}${label}${node.defined ? '' : ':::pending'}`)
+    })
+    // add edges
+    _.each(graph.edges, edge => {
+        lines.push(`    ${ids[edge.from]} ${edge.pending ? '-.->' : '-->'}|${edge.bindType}| ${ids[edge.to]}`)
+    })
+    // add style for methods that are not defined
+    lines.push('    classDef pending stroke-dasharray: 5 5')
+    // return mermaid string
+    return lines.join('\n')
+}
+
+/**
+ * @function removeBindsForMethod
+ *
+ * remove all binds where method is bound to other methods
+ *
+ * @param {object} immutable - data store
+ * @param {string} signature - moduleName.functionName of bound method
+ *
+ * @throws {Error}
+ */
+function removeBindsForMethod (immutable, signature) {
+    // build list of binds to remove before modifying bind store
+    var remove = []
+    // iterate over all binds
+    _.each(immutable.binds, (moduleBinds, moduleName) => {
+        _.each(moduleBinds, (methodBinds, methodName) => {
+            _.each(methodBinds, (bindTypeBinds, bindType) => {
+                if (defined(bindTypeBinds[signature])) {
+                    remove.push([bindType, `${moduleName}.${methodName}`, bindTypeBinds[signature].method])
+                }
+            })
+        })
+    })
+    // remove binds
+    _.each(remove, args => unbind(immutable, ...args))
+}
+
+/**
+ * @function removeMethodSchemas
+ *
+ * remove args and return schemas for method from validator
+ *
+ * @param {function} method
+ *
+ * @returns {undefined}
+ */
+function removeMethodSchemas (method) {
+    _.each(['args', 'return'], schemaType => {
+        if (defined(method.meta.schema[schemaType])) {
+            method.meta.ajv.removeSchema(method.meta.schema[schemaType].$id)
+        }
+    })
+}
+
+/**
+ * @function restoreModule
+ *
+ * restore module methods, binds, cache rules and data from snapshot
+ *
+ * @param {object} moduleSnapshot
+ *
+ * @returns {ImmutableCoreModule}
+ */
+function restoreModule (moduleSnapshot) {
+    var module = moduleSnapshot.module
+    // remove methods added after snapshot
+    _.each(getModuleMethods(module), (method, methodName) => {
+        if (!defined(moduleSnapshot.methods[methodName])) {
+            delete module[methodName]
+        }
+    })
+    // restore methods
+    _.each(moduleSnapshot.methods, (methodSnapshot, methodName) => {
+        var method = module[methodName] = methodSnapshot.method
+        // restore schemas if method was removed after snapshot
+        _.each(['args', 'return'], schemaType => {
+            var schema = method.meta.schema[schemaType]
+            if (defined(schema) && !defined(method.meta.ajv.getSchema(schema.$id))) {
+                method.meta.ajv.addSchema(schema, schema.$id)
+            }
+        })
+        // restore bind lists and cache rule
+        _.each(snapshotMethodMetaKeys(), key => {
+            if (defined(methodSnapshot.meta[key])) {
+                method.meta[key] = cloneMethodMeta(key, methodSnapshot.meta[key])
+            }
+            else {
+                delete method.meta[key]
+            }
+        })
+    })
+    // restore data
+    module.meta.restoreData(moduleSnapshot.data, moduleSnapshot.dataId)
+    // return restored module
+    return module
+}
+
+/**
+ * @function snapshotMethodMetaKeys
+ *
+ * get list of method meta properties that are modified by binds and cache
+ * rules and must be captured by snapshots.
+ *
+ * @returns {array}
+ */
+function snapshotMethodMetaKeys () {
+    return ['bindOptions', 'cache'].concat(_.keys(ImmutableCoreModule.bindTypes))
+}
+
+/**
+ * @function snapshotModule
+ *
+ * capture module methods, binds, cache rules and data
+ *
+ * @param {ImmutableCoreModule} module
+ *
+ * @returns {object}
+ */
+function snapshotModule (module) {
+    return {
+        data: module.meta.data,
+        dataId: module.meta.dataId,
+        methods: _.mapValues(getModuleMethods(module), method => ({
+            meta: _.mapValues(_.pick(method.meta, snapshotMethodMetaKeys()), (value, key) => cloneMethodMeta(key, value)),
+            method: method,
+        })),
+        module: module,
+    }
 }
\ No newline at end of file
@@ -0,0 +1,25 @@
+'use strict'
+
+/* public functions */
+module.exports = matchSignature
+
+/**
+ * @function matchSignature
+ *
+ * check if method signature (e.g. 'ModuleName.methodName') matches signature
+ * pattern where either the module name or method name may be a * wildcard
+ * (e.g. 'ModuleName.*', '*.methodName', '*.*')
+ *
+ * @param {string} pattern
+ * @param {string} signature
+ *
+ * @returns {boolean}
+ */
+function matchSignature (pattern, signature) {
+    // split pattern and signature into moduleName and methodName
+    var patternParts = pattern.split('.')
+    var signatureParts = signature.split('.')
+    // each part must be wildcard or match exactly
+    return (patternParts[0] === '*' || patternParts[0] === signatureParts[0])
+        && (patternParts[1] === '*' || patternParts[1] === signatureParts[1])
+}
@@ -0,0 +1,306 @@
+'use strict'
+
+/* npm modules */
+const Promise = require('bluebird')
+const _ = require('lodash')
+const defined = require('if-defined')
+const requireValidOptionalObject = require('immutable-require-valid-optional-object')
+
+/* public functions */
+module.exports = MemoryCacheClient
+
+/* global variables */
+
+// default max number of entries
+const defaultMaxEntries = 10000
+
+/**
+ * @function MemoryCacheClient
+ *
+ * create in memory cache client with least recently used eviction that can
+ * be used as cacheClient. values are stored as JSON so each get resolves with
+ * a new copy of the value and values that cannot be serialized, including
+ * circular and BigInt values, are not stored.
+ *
+ * options:
+ *
+ *     defaultTtl - seconds before entries stored with set expire. entries do
+ *                  not expire by default.
+ *
+ *     maxBytes - max total size of keys and JSON values. no limit by default.
+ *
+ *     maxEntries - max number of entries. defaults to 10000.
+ *
+ * @param {object} options
+ *
+ * @returns {MemoryCacheClient}
+ *
+ * @throws {Error}
+ */
+function MemoryCacheClient (options) {
+    // allow calling without new
+    if (!(this instanceof MemoryCacheClient)) {
+        return new MemoryCacheClient(options)
+    }
+    // make sure options is object
+    options = requireValidOptionalObject(options)
+    // validate limits
+    _.each(['maxBytes', 'maxEntries'], optionName => {
+        if (defined(options[optionName]) && !(Number.isInteger(options[optionName]) && options[optionName] > 0)) {
+            throw new Error(`MemoryCacheClient error: ${optionName} must be positive integer`)
+        }
+    })
+    // validate default ttl
+    if (defined(options.defaultTtl) && !(typeof options.defaultTtl === 'number' && options.defaultTtl >= 0)) {
+        throw new Error('MemoryCacheClient error: defaultTtl must be non-negative number')
+    }
+    // set options
+    this.defaultTtl = options.defaultTtl
+    this.maxBytes = options.maxBytes
+    this.maxEntries = defined(options.maxEntries) ? options.maxEntries : defaultMaxEntries
+    // entries indexed by key in order of least to most recently used
+    this.entries = new Map()
+    // total size of all entries
+    this.bytes = 0
+    // earliest time any entry may expire - undefined if no entries expire
+    this.nextExpires = undefined
+    // counters
+    this.evictions = 0
+    this.hits = 0
+    this.misses = 0
+}
+
+MemoryCacheClient.prototype = {
+    clear: clear,
+    del: del,
+    get: get,
+    set: set,
+    setex: setex,
+    stats: stats,
+    // class properties
+    constructor: MemoryCacheClient,
+}
+
+/**
+ * @function clear
+ *
+ * delete all entries. counters are not reset.
+ *
+ * @returns {Promise}
+ */
+function clear () {
+    // remove all entries
+    this.entries.clear()
+    this.bytes = 0
+    this.nextExpires = undefined
+    // resolve when done
+    return Promise.resolve()
+}
+
+/**
+ * @function del
+ *
+ * delete entry for key. resolves with true if entry was deleted.
+ *
+ * @param {string} key
+ *
+ * @returns {Promise<boolean>}
+ */
+function del (key) {
+    // get entry
+    var entry = this.entries.get(key)
+    // remove entry if it exists
+    if (defined(entry)) {
+        removeEntry(this, key, entry)
+    }
+    // resolve with deleted flag
+    return Promise.resolve(defined(entry))
+}
+
+/**
+ * @function get
+ *
+ * get value for key. resolves with null if key is not found or expired. the
+ * entry becomes the most recently used.
+ *
+ * @param {string} key
+ *
+ * @returns {Promise}
+ */
+function get (key) {
+    // get entry
+    var entry = this.entries.get(key)
+    // remove expired entry
+    if (defined(entry) && defined(entry.expires) && entry.expires <= Date.now()) {
+        removeEntry(this, key, entry)
+        entry = undefined
+    }
+    // resolve with null if not found
+    if (!defined(entry)) {
+        this.misses++
+        return Promise.resolve(null)
+    }
+    // move entry to most recently used
+    this.entries.delete(key)
+    this.entries.set(key, entry)
+    // resolve with copy of value
+    this.hits++
+    return Promise.resolve(JSON.parse(entry.json))
+}
+
+/**
+ * @function set
+ *
+ * set value for key. entry will expire after defaultTtl if set.
+ *
+ * @param {string} key
+ * @param {any} value
+ *
+ * @returns {Promise}
+ */
+function set (key, value) {
+    return this.setex(key, value, this.defaultTtl)
+}
+
+/**
+ * @function setex
+ *
+ * set value for key that expires after the given number of seconds. if expire
+ * is not a positive number the entry will not expire. if the cache is over
+ * its limits then expired entries are removed, if any entry may have expired,
+ * and then least recently used entries are evicted until the cache is within
+ * limits.
+ *
+ * @param {string} key
+ * @param {any} value
+ * @param {number} expire - seconds until entry expires
+ *
+ * @returns {Promise}
+ */
+function setex (key, value, expire) {
+    // remove existing entry
+    var existing = this.entries.get(key)
+    if (defined(existing)) {
+        removeEntry(this, key, existing)
+    }
+    // serialize value - values that cannot be serialized are not stored
+    try {
+        var json = JSON.stringify(value)
+    }
+    // circular and BigInt values throw
+    catch (err) {
+        return Promise.resolve()
+    }
+    if (!defined(json)) {
+        return Promise.resolve()
+    }
+    // create entry
+    var entry = {
+        bytes: Buffer.byteLength(key) + Buffer.byteLength(json),
+        expires: typeof expire === 'number' && expire > 0 ? Date.now() + expire * 1000 : undefined,
+        json: json,
+    }
+    // do not store entry that can never fit
+    if (defined(this.maxBytes) && entry.bytes > this.maxBytes) {
+        return Promise.resolve()
+    }
+    // add entry as most recently used
+    this.entries.set(key, entry)
+    this.bytes += entry.bytes
+    // track earliest time any entry may expire
+    if (defined(entry.expires) && (!defined(this.nextExpires) || entry.expires < this.nextExpires)) {
+        this.nextExpires = entry.expires
+    }
+    // remove expired entries before evicting entries that are still valid -
+    // only scan entries if one may have expired
+    if (isOverLimit(this) && defined(this.nextExpires) && this.nextExpires <= Date.now()) {
+        removeExpiredEntries(this)
+    }
+    // evict least recently used entries until within limits
+    while (isOverLimit(this)) {
+        // get least recently used entry
+        var [evictKey, evictEntry] = this.entries.entries().next().value
+        // remove entry
+        removeEntry(this, evictKey, evictEntry)
+        this.evictions++
+    }
+    // resolve when done
+    return Promise.resolve()
+}
+
+/**
+ * @function stats
+ *
+ * get current size and counters
+ *
+ * @returns {object}
+ */
+function stats () {
+    return {
+        bytes: this.bytes,
+        entries: this.entries.size,
+        evictions: this.evictions,
+        hits: this.hits,
+        misses: this.misses,
+    }
+}
+
+/* private functions */
+
+/**
+ * @function isOverLimit
+ *
+ * check if number or total size of entries is over limits
+ *
+ * @param {MemoryCacheClient} client
+ *
+ * @returns {boolean}
+ */
+function isOverLimit (client) {
+    return client.entries.size > client.maxEntries || (defined(client.maxBytes) && client.bytes > client.maxBytes)
+}
+
+/**
+ * @function removeExpiredEntries
+ *
+ * remove all entries that have expired and set the earliest time that any
+ * remaining entry expires
+ *
+ * @param {MemoryCacheClient} client
+ *
+ * @returns {undefined}
+ */
+function removeExpiredEntries (client) {
+    var now = Date.now()
+    // get earliest expiration of remaining entries
+    client.nextExpires = undefined
+    // remove entries that expired - deleting while iterating map is safe
+    client.entries.forEach((entry, key) => {
+        // skip entries that do not expire
+        if (!defined(entry.expires)) {
+            return
+        }
+        if (entry.expires <= now) {
+            removeEntry(client, key, entry)
+        }
+        else if (!defined(client.nextExpires) || entry.expires < client.nextExpires) {
+            client.nextExpires = entry.expires
+        }
+    })
+}
+
+/**
+ * @function removeEntry
+ *
+ * remove entry and subtract its size from total
+ *
+ * @param {MemoryCacheClient} client
+ * @param {string} key
+ * @param {object} entry
+ *
+ * @returns {undefined}
+ */
+function removeEntry (client, key, entry) {
+    client.entries.delete(key)
+    client.bytes -= entry.bytes
+}
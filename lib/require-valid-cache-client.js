@@ -12,6 +12,9 @@ const requireMethods = [
     'set',
     'setex',
 ]
+const optionalMethods = [
+    'del',
+]
 
 /**
  * @function requireValidCacheClient
@@ -21,6 +24,9 @@ const requireMethods = [
  *     - set(key, value, session)
  *     - setex(key, value, exp, session)
  *
+ * and that optional methods are functions if they are defined:
+ *     - del(key, session)
+ *
  * @param {object} cacheClient
  *
  * @returns {undefined}
@@ -38,4 +44,10 @@ function requireValidCacheClient (cacheClient) {
             throw new Error ('cacheClient error: cacheClient must provied '+method+' method')
         }
     })
+    // check that optional methods are functions
+    _.each(optionalMethods, method => {
+        if (cacheClient[method] !== undefined && typeof cacheClient[method] !== 'function') {
+            throw new Error ('cacheClient error: cacheClient '+method+' must be function')
+        }
+    })
 }
\ No newline at end of file
@@ -8,6 +8,7 @@ module.exports = requireValidName
 
 /* global variables */
 const reservedNames = {
+    '*': true,
     assert: true,
     bind: true,
     cache: true,
@@ -0,0 +1,40 @@
+'use strict'
+
+/* public functions */
+module.exports = TimeoutError
+
+/**
+ * @function TimeoutError
+ *
+ * create error for method call that did not complete before timeout
+ *
+ * @param {string} signature - signature of method that timed out
+ * @param {string} moduleCallId - id of call that timed out
+ * @param {number} timeout - ms waited before timeout
+ *
+ * @returns {TimeoutError}
+ */
+function TimeoutError (signature, moduleCallId, timeout) {
+    // set message
+    this.message = `${signature} timed out after ${timeout}ms`
+    // set call info
+    this.moduleCallId = moduleCallId
+    this.signature = signature
+    this.timeout = timeout
+    // capture stack trace excluding constructor
+    Error.captureStackTrace(this, TimeoutError)
+}
+
+/* inherit from Error */
+TimeoutError.prototype = Object.create(Error.prototype, {
+    constructor: {
+        value: TimeoutError,
+        writable: true,
+        configurable: true,
+    },
+    name: {
+        value: 'TimeoutError',
+        writable: true,
+        configurable: true,
+    },
+})
@@ -14,6 +14,7 @@ module.exports = MockCacheClient
  */
 function MockCacheClient (sandbox) {
     return {
+        del: sandbox.stub().resolves(),
         get: sandbox.stub().resolves(null),
         set: sandbox.stub().resolves(),
         setex: sandbox.stub().resolves(),
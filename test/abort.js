@@ -0,0 +1,240 @@
+'use strict'
+
+/* npm modules */
+const Promise = require('bluebird')
+const chai = require('chai')
+const sinon = require('sinon')
+
+/* application modules */
+const ImmutableCore = require('../lib/immutable-core')
+
+/* chai config */
+const assert = chai.assert
+sinon.assert.expose(chai.assert, { prefix: '' })
+
+describe('immutable-core abort', function () {
+
+    var sandbox
+
+    beforeEach(function () {
+        // reset global singleton data
+        ImmutableCore.reset().strictArgs(false)
+        // create sinon sandbox
+        sandbox = sinon.createSandbox()
+    })
+
+    afterEach(function () {
+        // clear sinon sandbox
+        sandbox.restore()
+    })
+
+    /**
+     * @function callAndCatch
+     *
+     * call method and return error it rejects with
+     *
+     * @param {function} method
+     * @param {object} args
+     *
+     * @returns {Promise}
+     */
+    function callAndCatch (method, args) {
+        return method(args).then(() => assert.fail('call should reject'), err => err)
+    }
+
+    it('should reject with AbortError if signal already aborted', async function () {
+        // create stub for foo
+        var foo = sandbox.stub().resolves()
+        var fooModule = ImmutableCore.module('FooModule', {
+            foo: foo,
+        })
+        // create aborted signal
+        var controller = new AbortController()
+        controller.abort('stop')
+        // call foo
+        var err = await callAndCatch(fooModule.foo, {session: {signal: controller.signal}})
+        // check error
+        assert.instanceOf(err, ImmutableCore.AbortError)
+        assert.instanceOf(err, Error)
+        assert.strictEqual(err.name, 'AbortError')
+        assert.strictEqual(err.signature, 'FooModule.foo')
+        assert.strictEqual(err.reason, 'stop')
+        assert.match(err.message, /^FooModule\.foo aborted$/)
+        // method should not be called
+        assert.notCalled(foo)
+    })
+
+    it('should call method if signal not aborted', async function () {
+        // create module
+        var fooModule = ImmutableCore.module('FooModule', {
+            foo: () => 'foo',
+        })
+        // call foo
+        var controller = new AbortController()
+        var res = await fooModule.foo({session: {signal: controller.signal}})
+        // check result
+        assert.strictEqual(res, 'foo')
+    })
+
+    it('should not call method if aborted during before', async function () {
+        // create stub for foo
+        var foo = sandbox.stub().resolves()
+        var fooModule = ImmutableCore.module('FooModule', {
+            foo: foo,
+        })
+        var controller = new AbortController()
+        // create module with before method that aborts
+        var barModule = ImmutableCore.module('BarModule', {
+            bar: () => { controller.abort() },
+        })
+        ImmutableCore.before('FooModule.foo', barModule.bar)
+        // call foo
+        var err = await callAndCatch(fooModule.foo, {session: {signal: controller.signal}})
+        // check error
+        assert.instanceOf(err, ImmutableCore.AbortError)
+        assert.strictEqual(err.signature, 'FooModule.foo')
+        // method should not be called
+        assert.notCalled(foo)
+    })
+
+    it('should not call further sequential before methods after abort', async function () {
+        var controller = new AbortController()
+        // create stub for second before method
+        var baz = sandbox.stub().resolves()
+        // create module with before methods
+        var barModule = ImmutableCore.module('BarModule', {
+            bar: () => { controller.abort() },
+            baz: baz,
+        })
+        // create sequential module
+        var fooModule = ImmutableCore.module('FooModule', {
+            foo: () => 'foo',
+        }, {
+            sequential: true,
+        })
+        ImmutableCore.before('FooModule.foo', barModule.bar)
+        ImmutableCore.before('FooModule.foo', barModule.baz)
+        // call foo
+        var err = await callAndCatch(fooModule.foo, {session: {signal: controller.signal}})
+        // check error
+        assert.instanceOf(err, ImmutableCore.AbortError)
+        // second before method should not be called
+        assert.notCalled(baz)
+    })
+
+    it('should not call after methods if aborted during method', async function () {
+        var controller = new AbortController()
+        // create stub for after method
+        var bar = sandbox.stub().resolves()
+        var barModule = ImmutableCore.module('BarModule', {
+            bar: bar,
+        })
+        // create module where method aborts
+        var fooModule = ImmutableCore.module('FooModule', {
+            foo: () => { controller.abort() },
+        })
+        ImmutableCore.after('FooModule.foo', barModule.bar)
+        // call foo
+        var err = await callAndCatch(fooModule.foo, {session: {signal: controller.signal}})
+        // check error
+        assert.instanceOf(err, ImmutableCore.AbortError)
+        // after method should not be called
+        assert.notCalled(bar)
+    })
+
+    it('should not call method if aborted during around', async function () {
+        var controller = new AbortController()
+        // create stub for foo
+        var foo = sandbox.stub().resolves()
+        var fooModule = ImmutableCore.module('FooModule', {
+            foo: foo,
+        })
+        // create around method that aborts before calling next
+        var barModule = ImmutableCore.module('BarModule', {
+            bar: args => {
+                controller.abort()
+                return args.next()
+            },
+        })
+        ImmutableCore.around('FooModule.foo', barModule.bar)
+        // call foo
+        var err = await callAndCatch(fooModule.foo, {session: {signal: controller.signal}})
+        // check error
+        assert.instanceOf(err, ImmutableCore.AbortError)
+        // method should not be called
+        assert.notCalled(foo)
+    })
+
+    it('should carry signal to nested calls', async function () {
+        var controller = new AbortController()
+        // create stub for bar
+        var bar = sandbox.stub().resolves()
+        var barModule = ImmutableCore.module('barModule', {
+            bar: bar,
+        })
+        // create module that aborts then calls bar with immutable ai
+        var fooModule = ImmutableCore.module('FooModule', {
+            foo: function () {
+                controller.abort()
+                return this.module.bar.bar()
+            },
+        })
+        // call foo
+        var err = await callAndCatch(fooModule.foo, {session: {signal: controller.signal}})
+        // check error is from nested call
+        assert.instanceOf(err, ImmutableCore.AbortError)
+        assert.strictEqual(err.signature, 'barModule.bar')
+        // bar should not be called
+        assert.notCalled(bar)
+    })
+
+    it('should not retry detached bind that was aborted', async function () {
+        var controller = new AbortController()
+        // create stub for detached method
+        var bar = sandbox.stub().resolves()
+        var barModule = ImmutableCore.module('BarModule', {
+            bar: bar,
+        })
+        // create module where method aborts
+        var fooModule = ImmutableCore.module('FooModule', {
+            foo: () => { controller.abort() },
+        })
+        // create retryIf stub that would retry all errors
+        var retryIf = sandbox.stub().returns(true)
+        ImmutableCore.afterDetach('FooModule.foo', barModule.bar, {
+            retry: {attempts: 3, delay: 1, retryIf: retryIf},
+        })
+        // call foo
+        await fooModule.foo({session: {signal: controller.signal}})
+        // wait for detached calls
+        await ImmutableCore.drain()
+        // detached method should not be called or retried
+        assert.notCalled(bar)
+        assert.notCalled(retryIf)
+    })
+
+    it('should not freeze signal when freeze option set', async function () {
+        // create module with freeze option
+        var fooModule = ImmutableCore.module('FooModule', {
+            foo: args => {
+                // args and session should be frozen
+                assert.isFrozen(args)
+                assert.isFrozen(args.session)
+                // signal should be original signal
+                assert.strictEqual(args.session.signal, controller.signal)
+                return true
+            },
+        }, {
+            freeze: true,
+        })
+        // create signal
+        var controller = new AbortController()
+        // call foo
+        assert.isTrue(await fooModule.foo({session: {signal: controller.signal}}))
+        // signal should not be frozen and can be aborted after call
+        assert.isNotFrozen(controller.signal)
+        controller.abort('stop')
+        assert.isTrue(controller.signal.aborted)
+    })
+
+})
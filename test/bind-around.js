@@ -0,0 +1,182 @@
+'use strict'
+
+/* npm modules */
+const chai = require('chai')
+const sinon = require('sinon')
+
+/* application modules */
+const ImmutableCore = require('../lib/immutable-core')
+const MockCacheClient = require('../mock/mock-cache-client')
+
+/* chai config */
+const assert = chai.assert
+sinon.assert.expose(chai.assert, { prefix: '' })
+
+describe('immutable-core bind around', function () {
+
+    var foo, fooModule, sandbox
+
+    beforeEach(function () {
+        // reset global singleton data
+        ImmutableCore.reset().strictArgs(false)
+        // create sinon sandbox
+        sandbox = sinon.createSandbox()
+        // create stub for foo
+        foo = sandbox.stub().callsFake(args => ({foo: args.foo}))
+        // create FooModule
+        fooModule = ImmutableCore.module('FooModule', {
+            foo: foo,
+        })
+    })
+
+    afterEach(function () {
+        // clear sinon sandbox
+        sandbox.restore()
+    })
+
+    it('should call target method when around method calls next', async function () {
+        // create BarModule
+        var barModule = ImmutableCore.module('BarModule', {
+            bar: args => args.next(),
+        })
+        // bind bar around foo
+        ImmutableCore.around('FooModule.foo', barModule.bar)
+        // call foo
+        var res = await fooModule.foo({foo: 1})
+        // check result
+        assert.deepEqual(res, {foo: 1})
+        assert.calledOnce(foo)
+    })
+
+    it('should allow around method to change args', async function () {
+        // create BarModule
+        var barModule = ImmutableCore.module('BarModule', {
+            bar: args => args.next({foo: args.foo + 1}),
+        })
+        // bind bar around foo
+        ImmutableCore.around('FooModule.foo', barModule.bar)
+        // call foo
+        var res = await fooModule.foo({foo: 1, session: {requestId: 'x'}})
+        // check result
+        assert.deepEqual(res, {foo: 2})
+        // target should be called with original session and without next
+        assert.strictEqual(foo.firstCall.args[0].session.requestId, 'x')
+        assert.notProperty(foo.firstCall.args[0], 'next')
+    })
+
+    it('should allow around method to short-circuit call', async function () {
+        // create BarModule
+        var barModule = ImmutableCore.module('BarModule', {
+            bar: () => ({bar: true}),
+        })
+        // bind bar around foo
+        ImmutableCore.around('FooModule.foo', barModule.bar)
+        // call foo
+        var res = await fooModule.foo({foo: 1})
+        // check result
+        assert.deepEqual(res, {bar: true})
+        assert.notCalled(foo)
+    })
+
+    it('should allow around method to transform result', async function () {
+        // create BarModule
+        var barModule = ImmutableCore.module('BarModule', {
+            bar: args => args.next().then(res => ({bar: res.foo})),
+        })
+        // bind bar around foo
+        ImmutableCore.around('FooModule.foo', barModule.bar)
+        // call foo
+        var res = await fooModule.foo({foo: 1})
+        // check result
+        assert.deepEqual(res, {bar: 1})
+    })
+
+    it('should allow around method to retry call', async function () {
+        // reject on first call
+        foo.onFirstCall().rejects(new Error('foo'))
+        // create BarModule
+        var barModule = ImmutableCore.module('BarModule', {
+            bar: args => args.next().catch(() => args.next()),
+        })
+        // bind bar around foo
+        ImmutableCore.around('FooModule.foo', barModule.bar)
+        // call foo
+        var res = await fooModule.foo({foo: 1})
+        // check result
+        assert.deepEqual(res, {foo: 1})
+        assert.calledTwice(foo)
+    })
+
+    it('should nest multiple around methods in bind order', async function () {
+        // order of calls
+        var calls = []
+        // create BarModule
+        var barModule = ImmutableCore.module('BarModule', {
+            bar: args => {
+                calls.push('bar')
+                return args.next().then(res => { calls.push('bar'); return res })
+            },
+            baz: args => {
+                calls.push('baz')
+                return args.next().then(res => { calls.push('baz'); return res })
+            },
+        })
+        // bind bar and baz around foo
+        ImmutableCore.around('FooModule.foo', barModule.bar)
+        ImmutableCore.around('FooModule.foo', barModule.baz)
+        // call foo
+        await fooModule.foo({foo: 1})
+        // check order
+        assert.deepEqual(calls, ['bar', 'baz', 'baz', 'bar'])
+    })
+
+    it('should call cache lookup from next', async function () {
+        // create cache client
+        var cacheClient = new MockCacheClient(sandbox)
+        cacheClient.get.resolves({foo: 'cached'})
+        // add cache rule to foo
+        ImmutableCore.cache('FooModule.foo', {cacheClient: cacheClient})
+        // create BarModule
+        var barModule = ImmutableCore.module('BarModule', {
+            bar: args => args.next(),
+        })
+        // bind bar around foo
+        ImmutableCore.around('FooModule.foo', barModule.bar)
+        // call foo
+        var res = await fooModule.foo({foo: 1})
+        // check result
+        assert.strictEqual(res.foo, 'cached')
+        assert.notCalled(foo)
+    })
+
+    it('should call next when around bind is skipped', async function () {
+        // create stub for bar
+        var bar = sandbox.stub().resolves({bar: true})
+        // create BarModule
+        var barModule = ImmutableCore.module('BarModule', {
+            bar: bar,
+        })
+        // bind bar around foo with condition
+        ImmutableCore.around('FooModule.foo', barModule.bar, {when: () => false})
+        // call foo
+        var res = await fooModule.foo({foo: 1})
+        // check result
+        assert.deepEqual(res, {foo: 1})
+        assert.notCalled(bar)
+    })
+
+    it('should add around method to stack', async function () {
+        // create BarModule
+        var barModule = ImmutableCore.module('BarModule', {
+            bar: args => {
+                assert.deepEqual(args.session.stack, ['FooModule.foo', 'BarModule.bar,around,FooModule.foo'])
+                return args.next()
+            },
+        })
+        // bind bar around foo
+        ImmutableCore.around('FooModule.foo', barModule.bar)
+        // call foo
+        await fooModule.foo({foo: 1})
+    })
+
+})
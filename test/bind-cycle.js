@@ -0,0 +1,147 @@
+'use strict'
+
+/* npm modules */
+const chai = require('chai')
+const sinon = require('sinon')
+
+/* application modules */
+const ImmutableCore = require('../lib/immutable-core')
+
+/* chai config */
+const assert = chai.assert
+sinon.assert.expose(chai.assert, { prefix: '' })
+
+describe('immutable-core bind cycle', function () {
+
+    var barModule, fooModule, sandbox
+
+    beforeEach(function () {
+        // reset global singleton data
+        ImmutableCore.reset().strictArgs(false)
+        // create sinon sandbox
+        sandbox = sinon.createSandbox()
+        // create FooModule
+        fooModule = ImmutableCore.module('FooModule', {
+            foo: () => true,
+        })
+        // create BarModule
+        barModule = ImmutableCore.module('BarModule', {
+            bar: () => true,
+        })
+    })
+
+    afterEach(function () {
+        // clear sinon sandbox
+        sandbox.restore()
+    })
+
+    it('should throw error when binding method to itself', function () {
+        assert.throws(
+            () => ImmutableCore.before('FooModule.foo', fooModule.foo),
+            'bind error: binding FooModule.foo before FooModule.foo creates cycle FooModule.foo -> FooModule.foo'
+        )
+    })
+
+    it('should throw error on direct cycle', function () {
+        // bind foo after bar
+        ImmutableCore.after('BarModule.bar', fooModule.foo)
+        // bind bar with foo
+        assert.throws(
+            () => ImmutableCore.with('FooModule.foo', barModule.bar),
+            'bind error: binding BarModule.bar with FooModule.foo creates cycle FooModule.foo -> BarModule.bar -> FooModule.foo'
+        )
+    })
+
+    it('should throw error on cycle through chain of detached binds', function () {
+        // create BazModule
+        var bazModule = ImmutableCore.module('BazModule', {
+            baz: () => true,
+        })
+        // bind foo -> bar -> baz
+        ImmutableCore.afterDetach('FooModule.foo', barModule.bar)
+        ImmutableCore.beforeDetach('BarModule.bar', bazModule.baz)
+        // bind baz -> foo
+        assert.throws(
+            () => ImmutableCore.withDetach('BazModule.baz', fooModule.foo),
+            'bind error: binding FooModule.foo withDetach BazModule.baz creates cycle BazModule.baz -> FooModule.foo -> BarModule.bar -> BazModule.baz'
+        )
+    })
+
+    it('should throw error on cycle through method that is not defined', function () {
+        // bind foo to method that is not defined
+        ImmutableCore.after('BamModule.bam', fooModule.foo)
+        // bind bar to foo
+        ImmutableCore.after('FooModule.foo', barModule.bar)
+        // create BamModule
+        var bamModule = ImmutableCore.module('BamModule', {
+            bam: () => true,
+        })
+        // bind bam to bar
+        assert.throws(() => ImmutableCore.after('BarModule.bar', bamModule.bam))
+    })
+
+    it('should throw error on cycle when binding with module bind', function () {
+        // bind foo after bar
+        barModule.bind('after', 'bar', fooModule.foo)
+        // bind bar before foo
+        assert.throws(() => fooModule.bind('before', 'foo', barModule.bar))
+    })
+
+    it('should not throw error when binding same method to multiple methods', function () {
+        // create BazModule
+        var bazModule = ImmutableCore.module('BazModule', {
+            baz: () => true,
+        })
+        // bind baz to foo and bar
+        ImmutableCore.after('FooModule.foo', bazModule.baz)
+        ImmutableCore.after('BarModule.bar', bazModule.baz)
+        ImmutableCore.before('FooModule.foo', barModule.bar)
+    })
+
+    it('should allow cycle when allowCycle option set', async function () {
+        // bar rejects when stack depth reached
+        var bar = sandbox.spy(args => {
+            if (args.session.stack.length > 4) {
+                return Promise.reject(new Error('stop'))
+            }
+        })
+        // create BazModule
+        var bazModule = ImmutableCore.module('BazModule', {
+            baz: () => true,
+            bar: bar,
+        })
+        // bind bar after foo and foo after bar
+        ImmutableCore.after('FooModule.foo', bazModule.bar)
+        ImmutableCore.after('BazModule.bar', fooModule.foo, {allowCycle: true})
+        // call foo which should reject when depth reached
+        await fooModule.foo().then(() => assert.fail(), err => assert.strictEqual(err.message, 'stop'))
+    })
+
+    it('should reject when allowCycle maxDepth reached', async function () {
+        // create stub for bar
+        var bar = sandbox.stub().resolves()
+        // create BazModule
+        var bazModule = ImmutableCore.module('BazModule', {
+            bar: bar,
+        })
+        // bind bar after foo and foo after bar with max depth
+        ImmutableCore.after('FooModule.foo', bazModule.bar)
+        ImmutableCore.after('BazModule.bar', fooModule.foo, {allowCycle: {maxDepth: 4}})
+        // call foo which should reject when depth reached
+        await fooModule.foo().then(() => assert.fail(), err => {
+            assert.strictEqual(err.message, 'BazModule.bar: after bind FooModule.foo exceeded maxDepth 4')
+        })
+        // foo -> bar -> foo -> bar then foo rejected
+        assert.calledTwice(bar)
+    })
+
+    it('should throw error on invalid allowCycle', function () {
+        assert.throws(() => {
+            ImmutableCore.after('BarModule.bar', fooModule.foo, {allowCycle: {maxDepth: 0}})
+        }, /bind error: allowCycle must be boolean or object with positive integer maxDepth/)
+        assert.throws(() => {
+            fooModule.bind('after', 'foo', barModule.bar, {allowCycle: 'yes'})
+        }, /allowCycle must be boolean or object with positive integer maxDepth/)
+    })
+
+})
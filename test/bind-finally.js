@@ -0,0 +1,174 @@
+'use strict'
+
+/* npm modules */
+const Promise = require('bluebird')
+const chai = require('chai')
+const sinon = require('sinon')
+
+/* application modules */
+const ImmutableCore = require('../lib/immutable-core')
+const MockLogClient = require('../mock/mock-log-client')
+
+/* chai config */
+const assert = chai.assert
+sinon.assert.expose(chai.assert, { prefix: '' })
+
+describe('immutable-core bind finally', function () {
+
+    var bar, barModule, foo, fooModule, sandbox
+
+    beforeEach(function () {
+        // reset global singleton data
+        ImmutableCore.reset().strictArgs(false)
+        // create sinon sandbox
+        sandbox = sinon.createSandbox()
+        // create stub for foo
+        foo = sandbox.stub().resolves({foo: true})
+        // create FooModule
+        fooModule = ImmutableCore.module('FooModule', {
+            foo: foo,
+        })
+        // create stub for bar
+        bar = sandbox.stub().resolves({bar: true})
+        // create BarModule
+        barModule = ImmutableCore.module('BarModule', {
+            bar: bar,
+        })
+    })
+
+    afterEach(function () {
+        // clear sinon sandbox
+        sandbox.restore()
+    })
+
+    it('should call finally method with result when target resolves', async function () {
+        // bind bar finally foo
+        ImmutableCore.finally('FooModule.foo', barModule.bar)
+        // call foo
+        var res = await fooModule.foo({foo: 1})
+        // check result not changed
+        assert.deepEqual(res, {foo: true})
+        // check args
+        assert.calledOnce(bar)
+        var args = bar.firstCall.args[0]
+        assert.strictEqual(args.args.foo, 1)
+        assert.deepEqual(args.res, {foo: true})
+        assert.isTrue(args.resolved)
+        assert.notProperty(args, 'error')
+    })
+
+    it('should call finally method with error when target rejects', async function () {
+        // reject foo
+        foo.rejects(new Error('foo error'))
+        // bind bar finally foo
+        ImmutableCore.finally('FooModule.foo', barModule.bar)
+        // call foo
+        try {
+            await fooModule.foo({})
+        }
+        catch (err) {
+            var thrown = err
+        }
+        // check error not changed
+        assert.strictEqual(thrown.message, 'foo error')
+        // check args
+        var args = bar.firstCall.args[0]
+        assert.strictEqual(args.error.message, 'foo error')
+        assert.isFalse(args.resolved)
+        assert.notProperty(args, 'res')
+    })
+
+    it('should wait for finally method before resolving', async function () {
+        // order of calls
+        var calls = []
+        // add slow method
+        barModule.method('baz', () => Promise.delay(10).then(() => calls.push('baz')))
+        // bind baz finally foo
+        ImmutableCore.finally('FooModule.foo', barModule.baz)
+        // call foo
+        await fooModule.foo({}).then(() => calls.push('foo'))
+        // check order
+        assert.deepEqual(calls, ['baz', 'foo'])
+    })
+
+    it('should ignore and log finally method rejection', async function () {
+        // create log client
+        var logClient = new MockLogClient(sandbox)
+        // set log client for foo
+        fooModule.method('foo', foo, {allowOverride: true, logClient: logClient})
+        // reject bar
+        bar.rejects(new Error('bar error'))
+        // bind bar finally foo
+        ImmutableCore.finally('FooModule.foo', barModule.bar)
+        // call foo
+        var res = await fooModule.foo({})
+        // check result not changed
+        assert.deepEqual(res, {foo: true})
+        // check error logged
+        assert.calledOnce(logClient.error)
+        assert.strictEqual(logClient.error.firstCall.args[0].message, 'bar error')
+    })
+
+    it('should run finally method after after and onError methods', async function () {
+        // reject foo
+        foo.rejects(new Error('foo error'))
+        // bind bar onError foo
+        ImmutableCore.onError('FooModule.foo', barModule.bar)
+        // add finally method
+        var baz = sandbox.stub().resolves()
+        barModule.method('baz', baz)
+        // bind baz finally foo
+        ImmutableCore.finally('FooModule.foo', barModule.baz)
+        // call foo
+        var res = await fooModule.foo({})
+        // check recovered result passed to finally
+        assert.deepEqual(res, {bar: true})
+        assert.isTrue(baz.firstCall.args[0].resolved)
+        assert.deepEqual(baz.firstCall.args[0].res, {bar: true})
+    })
+
+    it('should add finally method to stack with bind type', async function () {
+        // bind bar finally foo
+        ImmutableCore.finally('FooModule.foo', barModule.bar)
+        // call foo
+        await fooModule.foo({})
+        // check stack
+        assert.deepEqual(bar.firstCall.args[0].session.stack, ['FooModule.foo', 'BarModule.bar,finally,FooModule.foo'])
+    })
+
+    describe('finallyDetach', function () {
+
+        it('should call finallyDetach method without waiting', async function () {
+            // order of calls
+            var calls = []
+            // add slow method
+            barModule.method('baz', () => Promise.delay(10).then(() => calls.push('baz')))
+            // bind baz finallyDetach foo
+            ImmutableCore.finallyDetach('FooModule.foo', barModule.baz)
+            // call foo
+            await fooModule.foo({}).then(() => calls.push('foo'))
+            // wait for detached method
+            await Promise.delay(20)
+            // check order
+            assert.deepEqual(calls, ['foo', 'baz'])
+        })
+
+        it('should call finallyDetach method when target rejects', async function () {
+            // reject foo
+            foo.rejects(new Error('foo error'))
+            // bind bar finallyDetach foo
+            ImmutableCore.finallyDetach('FooModule.foo', barModule.bar)
+            // call foo
+            await fooModule.foo({}).catch(() => {})
+            // wait for detached method
+            await Promise.delay(10)
+            // check args
+            assert.calledOnce(bar)
+            assert.isFalse(bar.firstCall.args[0].resolved)
+            assert.strictEqual(bar.firstCall.args[0].error.message, 'foo error')
+            assert.deepEqual(bar.firstCall.args[0].session.stack, ['FooModule.foo', 'BarModule.bar,finallyDetach,FooModule.foo'])
+        })
+
+    })
+
+})
@@ -0,0 +1,118 @@
+'use strict'
+
+/* npm modules */
+const Promise = require('bluebird')
+const chai = require('chai')
+const sinon = require('sinon')
+
+/* application modules */
+const ImmutableCore = require('../lib/immutable-core')
+
+/* chai config */
+const assert = chai.assert
+sinon.assert.expose(chai.assert, { prefix: '' })
+
+describe('immutable-core bind map args and result', function () {
+
+    var fooModule, record, auditModule, sandbox
+
+    beforeEach(function () {
+        // reset global singleton data
+        ImmutableCore.reset().strictArgs(false)
+        // create sinon sandbox
+        sandbox = sinon.createSandbox()
+        // create FooModule
+        fooModule = ImmutableCore.module('FooModule', {
+            foo: args => ({id: args.id}),
+        })
+        // create generic audit method
+        record = sandbox.stub().resolves({recorded: true})
+        // create AuditModule
+        auditModule = ImmutableCore.module('AuditModule', {
+            record: record,
+        })
+    })
+
+    afterEach(function () {
+        // clear sinon sandbox
+        sandbox.restore()
+    })
+
+    it('should map args for bound method', async function () {
+        // bind record after foo with mapped args
+        ImmutableCore.after('FooModule.foo', auditModule.record, {
+            mapArgs: args => ({event: 'foo', id: args.res.id}),
+        })
+        // call foo
+        await fooModule.foo({id: 1, session: {accountId: '1'}})
+        // check args
+        assert.calledOnce(record)
+        assert.strictEqual(record.firstCall.args[0].event, 'foo')
+        assert.strictEqual(record.firstCall.args[0].id, 1)
+        assert.notProperty(record.firstCall.args[0], 'res')
+        // session should be added to mapped args
+        assert.strictEqual(record.firstCall.args[0].session.accountId, '1')
+    })
+
+    it('should map result of bound method', async function () {
+        // bind record with foo with mapped result
+        ImmutableCore.with('FooModule.foo', auditModule.record, {
+            mapResult: (result, args) => ({audit: result.recorded, auditId: args.id}),
+        })
+        // call foo
+        var res = await fooModule.foo({id: 1})
+        // check result
+        assert.deepEqual(res, {id: 1, audit: true, auditId: 1})
+    })
+
+    it('should map result of before method', async function () {
+        // bind record before foo with mapped result
+        ImmutableCore.before('FooModule.foo', auditModule.record, {
+            mapResult: () => ({id: 2}),
+        })
+        // call foo
+        var res = await fooModule.foo({id: 1})
+        // check result
+        assert.deepEqual(res, {id: 2})
+    })
+
+    it('should ignore result of after method when mapped to undefined', async function () {
+        // bind record after foo ignoring result
+        ImmutableCore.after('FooModule.foo', auditModule.record, {
+            mapResult: () => undefined,
+        })
+        // call foo
+        var res = await fooModule.foo({id: 1})
+        // check result
+        assert.deepEqual(res, {id: 1})
+    })
+
+    it('should map args for detached method', async function () {
+        // bind record before foo detached with mapped args
+        ImmutableCore.beforeDetach('FooModule.foo', auditModule.record, {
+            mapArgs: args => ({event: 'foo'}),
+        })
+        // call foo
+        await fooModule.foo({id: 1})
+        // wait for detached method
+        await Promise.delay(10)
+        // check args
+        assert.calledOnce(record)
+        assert.strictEqual(record.firstCall.args[0].event, 'foo')
+    })
+
+    it('should reject if mapArgs throws error', async function () {
+        // bind record before foo
+        ImmutableCore.before('FooModule.foo', auditModule.record, {
+            mapArgs: () => { throw new Error('mapArgs') },
+        })
+        // call foo
+        await fooModule.foo().then(() => assert.fail(), err => assert.strictEqual(err.message, 'mapArgs'))
+    })
+
+    it('should throw error when map options are not functions', function () {
+        assert.throws(() => ImmutableCore.before('FooModule.foo', auditModule.record, {mapArgs: {}}))
+        assert.throws(() => ImmutableCore.before('FooModule.foo', auditModule.record, {mapResult: {}}))
+    })
+
+})
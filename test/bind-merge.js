@@ -0,0 +1,205 @@
+'use strict'
+
+/* npm modules */
+const chai = require('chai')
+const sinon = require('sinon')
+
+/* application modules */
+const ImmutableCore = require('../lib/immutable-core')
+
+/* chai config */
+const assert = chai.assert
+sinon.assert.expose(chai.assert, { prefix: '' })
+
+describe('immutable-core bind merge', function () {
+
+    var barModule, fooModule, sandbox
+
+    beforeEach(function () {
+        // reset global singleton data
+        ImmutableCore.reset().strictArgs(false)
+        // create sinon sandbox
+        sandbox = sinon.createSandbox()
+        // create FooModule
+        fooModule = ImmutableCore.module('FooModule', {
+            foo: args => ({a: {b: 1}, list: [1, 2], args: args.list}),
+        })
+        // create BarModule
+        barModule = ImmutableCore.module('BarModule', {
+            bar: () => ({a: {c: 2}, list: [3]}),
+        })
+    })
+
+    afterEach(function () {
+        // clear sinon sandbox
+        sandbox.restore()
+    })
+
+    it('should deep merge after result by default', async function () {
+        // bind bar after foo
+        ImmutableCore.after('FooModule.foo', barModule.bar)
+        // call foo
+        var res = await fooModule.foo({})
+        // check result
+        assert.deepEqual(res.a, {b: 1, c: 2})
+        assert.deepEqual(res.list, [3, 2])
+    })
+
+    it('should shallow merge after result', async function () {
+        // bind bar after foo
+        ImmutableCore.after('FooModule.foo', barModule.bar, {merge: 'shallow'})
+        // call foo
+        var res = await fooModule.foo({})
+        // check result
+        assert.deepEqual(res.a, {c: 2})
+        assert.deepEqual(res.list, [3])
+    })
+
+    it('should concat arrays in after result', async function () {
+        // bind bar after foo
+        ImmutableCore.after('FooModule.foo', barModule.bar, {merge: 'concatArrays'})
+        // call foo
+        var res = await fooModule.foo({})
+        // check result
+        assert.deepEqual(res.a, {b: 1, c: 2})
+        assert.deepEqual(res.list, [1, 2, 3])
+    })
+
+    it('should replace result with after result', async function () {
+        // bind bar after foo
+        ImmutableCore.after('FooModule.foo', barModule.bar, {merge: 'replace'})
+        // call foo
+        var res = await fooModule.foo({})
+        // check result
+        assert.deepEqual(res, {a: {c: 2}, list: [3]})
+    })
+
+    it('should ignore after result', async function () {
+        // bind bar after foo
+        ImmutableCore.after('FooModule.foo', barModule.bar, {merge: 'none'})
+        // call foo
+        var res = await fooModule.foo({})
+        // check result
+        assert.deepEqual(res, {a: {b: 1}, list: [1, 2], args: undefined})
+    })
+
+    it('should merge after result with custom function', async function () {
+        // create merge function
+        var merge = sandbox.stub().callsFake((target, result) => ({target: target, result: result}))
+        // bind bar after foo
+        ImmutableCore.after('FooModule.foo', barModule.bar, {merge: merge})
+        // call foo
+        var res = await fooModule.foo({session: {requestId: 'x'}})
+        // check result
+        assert.deepEqual(res.result, {a: {c: 2}, list: [3]})
+        // check context
+        var ctx = merge.firstCall.args[2]
+        assert.strictEqual(ctx.bindSignature, 'BarModule.bar')
+        assert.strictEqual(ctx.bindType, 'after')
+        assert.strictEqual(ctx.session.requestId, 'x')
+        assert.strictEqual(ctx.signature, 'FooModule.foo')
+    })
+
+    it('should use method merge option', async function () {
+        // set merge for foo
+        fooModule.method('foo', () => ({list: [1]}), {allowOverride: true, merge: 'concatArrays'})
+        // bind bar after foo
+        ImmutableCore.after('FooModule.foo', barModule.bar)
+        // call foo
+        var res = await fooModule.foo({})
+        // check result
+        assert.deepEqual(res.list, [1, 3])
+    })
+
+    it('should use bind merge option over method merge option', async function () {
+        // set merge for foo
+        fooModule.method('foo', () => ({list: [1]}), {allowOverride: true, merge: 'concatArrays'})
+        // bind bar after foo
+        ImmutableCore.after('FooModule.foo', barModule.bar, {merge: 'shallow'})
+        // call foo
+        var res = await fooModule.foo({})
+        // check result
+        assert.deepEqual(res.list, [3])
+    })
+
+    it('should merge with result using merge option', async function () {
+        // bind bar with foo
+        ImmutableCore.with('FooModule.foo', barModule.bar, {merge: 'concatArrays'})
+        // call foo
+        var res = await fooModule.foo({})
+        // check result
+        assert.deepEqual(res.list, [1, 2, 3])
+    })
+
+    it('should merge before result into args using merge option', async function () {
+        // bind bar before foo
+        ImmutableCore.before('FooModule.foo', barModule.bar, {merge: 'concatArrays'})
+        // call foo
+        var res = await fooModule.foo({list: [0]})
+        // check args
+        assert.deepEqual(res.args, [0, 3])
+    })
+
+    it('should keep session when replacing args with before result', async function () {
+        // create stub for baz
+        var baz = sandbox.stub().resolves()
+        fooModule.method('baz', baz)
+        // bind bar before baz
+        ImmutableCore.before('FooModule.baz', barModule.bar, {merge: 'replace'})
+        // call baz
+        await fooModule.baz({foo: true, session: {requestId: 'x'}})
+        // check args
+        var args = baz.firstCall.args[0]
+        assert.notProperty(args, 'foo')
+        assert.deepEqual(args.list, [3])
+        assert.strictEqual(args.session.requestId, 'x')
+    })
+
+    it('should not merge __proto__ from result', async function () {
+        // create module that returns polluted result
+        var bazModule = ImmutableCore.module('BazModule', {
+            baz: () => JSON.parse('{"__proto__": {"polluted": true}, "a": {"constructor": {"prototype": {"polluted": true}}}}'),
+        })
+        // bind baz after foo
+        ImmutableCore.after('FooModule.foo', bazModule.baz)
+        // call foo
+        var res = await fooModule.foo({})
+        // check result
+        assert.isUndefined({}.polluted)
+        assert.isUndefined(Object.polluted)
+        assert.isUndefined(Object.prototype.polluted)
+        assert.isUndefined(res.polluted)
+        assert.strictEqual(res.a.b, 1)
+        // constructor merged as own data property
+        assert.isTrue(Object.prototype.hasOwnProperty.call(res.a, 'constructor'))
+        assert.strictEqual({}.constructor, Object)
+    })
+
+    it('should merge constructor and prototype keys with data values', async function () {
+        // create module that returns data with constructor and prototype keys
+        var bazModule = ImmutableCore.module('BazModule', {
+            baz: () => ({
+                car: {constructor: 'Ford', prototype: {year: 1908}},
+                fn: {constructor: () => true},
+            }),
+        })
+        // bind baz after foo
+        ImmutableCore.after('FooModule.foo', bazModule.baz)
+        // call foo
+        var res = await fooModule.foo({})
+        // check data keys kept
+        assert.deepEqual(res.car, {constructor: 'Ford', prototype: {year: 1908}})
+        // function values skipped
+        assert.isFalse(Object.prototype.hasOwnProperty.call(res.fn, 'constructor'))
+    })
+
+    it('should throw error on invalid merge option', function () {
+        assert.throws(() => {
+            ImmutableCore.after('FooModule.foo', barModule.bar, {merge: 'foo'})
+        }, 'bind error: invalid merge foo')
+        assert.throws(() => {
+            ImmutableCore.module('BazModule', {}, {merge: 'foo'})
+        }, 'options error: invalid merge foo')
+    })
+
+})
@@ -0,0 +1,257 @@
+'use strict'
+
+/* npm modules */
+const Promise = require('bluebird')
+const chai = require('chai')
+const sinon = require('sinon')
+
+/* application modules */
+const ImmutableCore = require('../lib/immutable-core')
+const MockLogClient = require('../mock/mock-log-client')
+
+/* chai config */
+const assert = chai.assert
+sinon.assert.expose(chai.assert, { prefix: '' })
+
+describe('immutable-core bind onError', function () {
+
+    var bar, barModule, foo, fooModule, sandbox
+
+    beforeEach(function () {
+        // reset global singleton data
+        ImmutableCore.reset().strictArgs(false)
+        // create sinon sandbox
+        sandbox = sinon.createSandbox()
+        // create stub for foo that rejects
+        foo = sandbox.stub().rejects(new Error('foo error'))
+        // create FooModule
+        fooModule = ImmutableCore.module('FooModule', {
+            foo: foo,
+        })
+        // create stub for bar
+        bar = sandbox.stub().resolves({bar: true})
+        // create BarModule
+        barModule = ImmutableCore.module('BarModule', {
+            bar: bar,
+        })
+    })
+
+    afterEach(function () {
+        // clear sinon sandbox
+        sandbox.restore()
+    })
+
+    it('should call onError method with args and error when target rejects', async function () {
+        // bind bar onError foo
+        ImmutableCore.onError('FooModule.foo', barModule.bar)
+        // call foo
+        await fooModule.foo({foo: 1, session: {requestId: 'x'}})
+        // check args
+        assert.calledOnce(bar)
+        var args = bar.firstCall.args[0]
+        assert.strictEqual(args.args.foo, 1)
+        assert.strictEqual(args.error.message, 'foo error')
+        assert.strictEqual(args.session.requestId, 'x')
+    })
+
+    it('should resolve with value returned by onError method', async function () {
+        // bind bar onError foo
+        ImmutableCore.onError('FooModule.foo', barModule.bar)
+        // call foo
+        var res = await fooModule.foo({})
+        // check result
+        assert.deepEqual(res, {bar: true})
+    })
+
+    it('should reject with original error if onError method resolves undefined', async function () {
+        // resolve with undefined
+        bar.resolves()
+        // bind bar onError foo
+        ImmutableCore.onError('FooModule.foo', barModule.bar)
+        // call foo
+        try {
+            await fooModule.foo({})
+        }
+        catch (err) {
+            var thrown = err
+        }
+        // check error
+        assert.isDefined(thrown)
+        assert.strictEqual(thrown.message, 'foo error')
+    })
+
+    it('should reject with error from onError method', async function () {
+        // reject with new error
+        bar.rejects(new Error('bar error'))
+        // bind bar onError foo
+        ImmutableCore.onError('FooModule.foo', barModule.bar)
+        // call foo
+        try {
+            await fooModule.foo({})
+        }
+        catch (err) {
+            var thrown = err
+        }
+        // check error
+        assert.isDefined(thrown)
+        assert.strictEqual(thrown.message, 'bar error')
+    })
+
+    it('should not call onError method when target resolves', async function () {
+        // resolve foo
+        foo.resolves({foo: true})
+        // bind bar onError foo
+        ImmutableCore.onError('FooModule.foo', barModule.bar)
+        // call foo
+        var res = await fooModule.foo({})
+        // check result
+        assert.deepEqual(res, {foo: true})
+        assert.notCalled(bar)
+    })
+
+    it('should call onError method when after method rejects', async function () {
+        // resolve foo
+        foo.resolves({foo: true})
+        // create BazModule
+        var bazModule = ImmutableCore.module('BazModule', {
+            baz: () => Promise.reject(new Error('baz error')),
+        })
+        // bind baz after foo
+        ImmutableCore.after('FooModule.foo', bazModule.baz)
+        // bind bar onError foo
+        ImmutableCore.onError('FooModule.foo', barModule.bar)
+        // call foo
+        var res = await fooModule.foo({})
+        // check result
+        assert.deepEqual(res, {bar: true})
+        assert.strictEqual(bar.firstCall.args[0].error.message, 'baz error')
+    })
+
+    it('should merge results from multiple onError methods', async function () {
+        // add second method
+        barModule.method('baz', () => ({baz: true}))
+        // bind bar and baz onError foo
+        ImmutableCore.onError('FooModule.foo', barModule.bar)
+        ImmutableCore.onError('FooModule.foo', barModule.baz)
+        // call foo
+        var res = await fooModule.foo({})
+        // check result
+        assert.deepEqual(res, {bar: true, baz: true})
+    })
+
+    it('should resolve with onError result when method merge is none', async function () {
+        // set merge none for foo
+        fooModule.method('foo', foo, {allowOverride: true, merge: 'none'})
+        // bind bar onError foo
+        ImmutableCore.onError('FooModule.foo', barModule.bar)
+        // call foo
+        var res = await fooModule.foo({})
+        // check result replaces error
+        assert.deepEqual(res, {bar: true})
+    })
+
+    it('should use merge option set for onError bind', async function () {
+        // add second method
+        barModule.method('baz', () => ({baz: true}))
+        // bind bar and baz onError foo with replace
+        ImmutableCore.onError('FooModule.foo', barModule.bar)
+        ImmutableCore.onError('FooModule.foo', barModule.baz, {merge: 'replace'})
+        // call foo
+        var res = await fooModule.foo({})
+        // check result replaced
+        assert.deepEqual(res, {baz: true})
+    })
+
+    it('should run onError methods sequentially', async function () {
+        // order of calls
+        var calls = []
+        // add methods
+        barModule.method('baz', () => Promise.delay(10).then(() => calls.push('baz')))
+        barModule.method('bam', () => { calls.push('bam'); return {bam: true} })
+        // set sequential for foo
+        fooModule.method('foo', foo, {allowOverride: true, sequential: true})
+        // bind baz and bam onError foo
+        ImmutableCore.onError('FooModule.foo', barModule.baz)
+        ImmutableCore.onError('FooModule.foo', barModule.bam)
+        // call foo
+        var res = await fooModule.foo({})
+        // check order
+        assert.deepEqual(calls, ['baz', 'bam'])
+        assert.strictEqual(res.bam, true)
+    })
+
+    it('should log original error and recovered result', async function () {
+        // create log client
+        var logClient = new MockLogClient(sandbox)
+        // set log client for foo
+        fooModule.method('foo', foo, {allowOverride: true, logClient: logClient})
+        // bind bar onError foo
+        ImmutableCore.onError('FooModule.foo', barModule.bar)
+        // call foo
+        await fooModule.foo({})
+        // check logs
+        assert.calledWithMatch(logClient.log, 'moduleCallError', {
+            moduleCallErrorData: sinon.match({message: 'foo error'}),
+        })
+        assert.calledWithMatch(logClient.log, 'moduleCallResolve', {
+            moduleCallResolveData: {bar: true},
+            resolved: 1,
+        })
+    })
+
+    describe('onErrorDetach', function () {
+
+        it('should call onErrorDetach method when target rejects', async function () {
+            // bind bar onErrorDetach foo
+            ImmutableCore.onErrorDetach('FooModule.foo', barModule.bar)
+            // call foo
+            try {
+                await fooModule.foo({foo: 1})
+            }
+            catch (err) {
+                var thrown = err
+            }
+            // wait for detached method
+            await Promise.delay(10)
+            // check error not recovered
+            assert.strictEqual(thrown.message, 'foo error')
+            // check args
+            assert.calledOnce(bar)
+            assert.strictEqual(bar.firstCall.args[0].args.foo, 1)
+            assert.strictEqual(bar.firstCall.args[0].error.message, 'foo error')
+        })
+
+        it('should log error when onErrorDetach method rejects', async function () {
+            // create log client
+            var logClient = new MockLogClient(sandbox)
+            // set log client for foo
+            fooModule.method('foo', foo, {allowOverride: true, logClient: logClient})
+            // reject with new error
+            bar.rejects(new Error('bar error'))
+            // bind bar onErrorDetach foo
+            ImmutableCore.onErrorDetach('FooModule.foo', barModule.bar)
+            // call foo
+            await fooModule.foo({}).catch(() => {})
+            // wait for detached method
+            await Promise.delay(10)
+            // check error logged
+            assert.calledOnce(logClient.error)
+            assert.strictEqual(logClient.error.firstCall.args[0].message, 'bar error')
+        })
+
+        it('should not call onErrorDetach method when target resolves', async function () {
+            // resolve foo
+            foo.resolves({foo: true})
+            // bind bar onErrorDetach foo
+            ImmutableCore.onErrorDetach('FooModule.foo', barModule.bar)
+            // call foo
+            await fooModule.foo({})
+            // wait for detached method
+            await Promise.delay(10)
+            // check not called
+            assert.notCalled(bar)
+        })
+
+    })
+
+})
@@ -0,0 +1,168 @@
+'use strict'
+
+/* npm modules */
+const Promise = require('bluebird')
+const chai = require('chai')
+const sinon = require('sinon')
+
+/* application modules */
+const ImmutableCore = require('../lib/immutable-core')
+
+/* chai config */
+const assert = chai.assert
+sinon.assert.expose(chai.assert, { prefix: '' })
+
+describe('immutable-core bind priority and sequential', function () {
+
+    var sandbox
+
+    beforeEach(function () {
+        // reset global singleton data
+        ImmutableCore.reset().strictArgs(false)
+        // create sinon sandbox
+        sandbox = sinon.createSandbox()
+    })
+
+    afterEach(function () {
+        // clear sinon sandbox
+        sandbox.restore()
+    })
+
+    it('should order bound methods by priority', function () {
+        // create FooModule
+        var fooModule = ImmutableCore.module('FooModule', {
+            foo: () => true,
+        })
+        // create BarModule
+        var barModule = ImmutableCore.module('BarModule', {
+            bar: () => true,
+            bam: () => true,
+            baz: () => true,
+        })
+        // bind with priorities
+        ImmutableCore.before('FooModule.foo', barModule.bar)
+        ImmutableCore.before('FooModule.foo', barModule.bam, {priority: -1})
+        ImmutableCore.before('FooModule.foo', barModule.baz, {priority: 10})
+        // check order
+        assert.deepEqual(fooModule.foo.meta.before, [barModule.baz, barModule.bar, barModule.bam])
+    })
+
+    it('should order bound methods by priority when bound before method defined', function () {
+        // create BarModule
+        var barModule = ImmutableCore.module('BarModule', {
+            bar: () => true,
+            baz: () => true,
+        })
+        // bind with priorities
+        ImmutableCore.after('FooModule.foo', barModule.bar)
+        ImmutableCore.after('FooModule.foo', barModule.baz, {priority: 1})
+        // create FooModule
+        var fooModule = ImmutableCore.module('FooModule', {
+            foo: () => true,
+        })
+        // check order
+        assert.deepEqual(fooModule.foo.meta.after, [barModule.baz, barModule.bar])
+    })
+
+    it('should merge results by priority', async function () {
+        // create FooModule
+        var fooModule = ImmutableCore.module('FooModule', {
+            foo: () => ({}),
+        })
+        // create BarModule
+        var barModule = ImmutableCore.module('BarModule', {
+            bar: () => ({foo: 'bar'}),
+            baz: () => Promise.delay(5).then(() => ({foo: 'baz'})),
+        })
+        // bind bar after foo with higher priority so baz is merged last
+        ImmutableCore.after('FooModule.foo', barModule.baz)
+        ImmutableCore.after('FooModule.foo', barModule.bar, {priority: 1})
+        // call foo
+        var res = await fooModule.foo()
+        // check result
+        assert.deepEqual(res, {foo: 'baz'})
+    })
+
+    it('should throw error on invalid priority', function () {
+        // create BarModule
+        var barModule = ImmutableCore.module('BarModule', {
+            bar: () => true,
+        })
+        // create FooModule
+        ImmutableCore.module('FooModule', {
+            foo: () => true,
+        })
+        // bind with invalid priority
+        assert.throws(() => ImmutableCore.before('FooModule.foo', barModule.bar, {priority: 'high'}))
+    })
+
+    it('should run before methods sequentially with merged args', async function () {
+        // create FooModule with sequential option
+        var fooModule = ImmutableCore.module('FooModule', {
+            foo: args => args,
+        }, {
+            sequential: true,
+        })
+        // create stubs
+        var auth = sandbox.stub().callsFake(() => Promise.delay(5).then(() => ({user: 'user'})))
+        var normalize = sandbox.stub().callsFake(args => ({name: args.user.toUpperCase()}))
+        // create BarModule
+        var barModule = ImmutableCore.module('BarModule', {
+            auth: auth,
+            normalize: normalize,
+        })
+        // bind before foo
+        ImmutableCore.before('FooModule.foo', barModule.normalize)
+        ImmutableCore.before('FooModule.foo', barModule.auth, {priority: 1})
+        // call foo
+        var res = await fooModule.foo()
+        // check result
+        assert.strictEqual(res.user, 'user')
+        assert.strictEqual(res.name, 'USER')
+        assert.isTrue(auth.calledBefore(normalize))
+    })
+
+    it('should run after methods sequentially with merged result', async function () {
+        // create FooModule
+        var fooModule = ImmutableCore.module('FooModule', {})
+        // create method with sequential option
+        fooModule.method('foo', () => ({foo: 1}), {sequential: true})
+        // create BarModule
+        var barModule = ImmutableCore.module('BarModule', {
+            bar: args => Promise.delay(5).then(() => ({bar: args.res.foo + 1})),
+            baz: args => ({baz: args.res.bar + 1}),
+        })
+        // bind after foo
+        ImmutableCore.after('FooModule.foo', barModule.bar)
+        ImmutableCore.after('FooModule.foo', barModule.baz)
+        // call foo
+        var res = await fooModule.foo()
+        // check result
+        assert.deepEqual(res, {foo: 1, bar: 2, baz: 3})
+    })
+
+    it('should not call next method when sequential method rejects', async function () {
+        // create FooModule
+        var fooModule = ImmutableCore.module('FooModule', {
+            foo: () => true,
+        }, {
+            sequential: true,
+        })
+        // create stubs
+        var bar = sandbox.stub().rejects(new Error('bar'))
+        var baz = sandbox.stub().resolves()
+        // create BarModule
+        var barModule = ImmutableCore.module('BarModule', {
+            bar: bar,
+            baz: baz,
+        })
+        // bind before foo
+        ImmutableCore.before('FooModule.foo', barModule.bar)
+        ImmutableCore.before('FooModule.foo', barModule.baz)
+        // call foo
+        await fooModule.foo().then(() => assert.fail(), err => assert.strictEqual(err.message, 'bar'))
+        // baz should not be called
+        assert.notCalled(baz)
+    })
+
+})
@@ -0,0 +1,155 @@
+'use strict'
+
+/* npm modules */
+const Promise = require('bluebird')
+const chai = require('chai')
+const sinon = require('sinon')
+
+/* application modules */
+const ImmutableCore = require('../lib/immutable-core')
+const MockLogClient = require('../mock/mock-log-client')
+
+/* chai config */
+const assert = chai.assert
+sinon.assert.expose(chai.assert, { prefix: '' })
+
+describe('immutable-core bind retry', function () {
+
+    var bar, barModule, fooModule, logClient, sandbox
+
+    beforeEach(function () {
+        // reset global singleton data
+        ImmutableCore.reset().strictArgs(false)
+        // create sinon sandbox
+        sandbox = sinon.createSandbox()
+        // create log client
+        logClient = new MockLogClient(sandbox)
+        // create FooModule
+        fooModule = ImmutableCore.module('FooModule', {
+            foo: () => ({foo: true}),
+        }, {
+            logClient: logClient,
+        })
+        // create stub for bar that rejects
+        bar = sandbox.stub().rejects(new Error('bar error'))
+        // create BarModule
+        barModule = ImmutableCore.module('BarModule', {
+            bar: bar,
+        })
+    })
+
+    afterEach(function () {
+        // clear sinon sandbox
+        sandbox.restore()
+    })
+
+    it('should retry detached method until attempts used', async function () {
+        // bind bar afterDetach foo with retry
+        ImmutableCore.afterDetach('FooModule.foo', barModule.bar, {retry: {attempts: 3}})
+        // call foo
+        await fooModule.foo()
+        // wait for detached calls
+        await ImmutableCore.drain()
+        // check calls
+        assert.calledThrice(bar)
+        // check failed attempts logged
+        assert.calledWithMatch(logClient.log, 'moduleCallBindRetry', {
+            attempt: 1,
+            bindSignature: 'BarModule.bar',
+            bindType: 'afterDetach',
+            signature: 'FooModule.foo',
+        })
+        assert.calledWithMatch(logClient.log, 'moduleCallBindRetry', {attempt: 2})
+        // check final failure logged
+        assert.calledWithMatch(logClient.log, 'moduleCallBindFail', {
+            attempts: 3,
+            bindSignature: 'BarModule.bar',
+            bindType: 'afterDetach',
+            signature: 'FooModule.foo',
+        })
+        assert.calledOnce(logClient.error)
+    })
+
+    it('should stop retrying when method resolves', async function () {
+        // resolve on second attempt
+        bar.onSecondCall().resolves()
+        // bind bar beforeDetach foo with retry
+        ImmutableCore.beforeDetach('FooModule.foo', barModule.bar, {retry: {attempts: 3}})
+        // call foo
+        await fooModule.foo()
+        // wait for detached calls
+        await ImmutableCore.drain()
+        // check calls
+        assert.calledTwice(bar)
+        assert.neverCalledWith(logClient.log, 'moduleCallBindFail')
+        assert.notCalled(logClient.error)
+    })
+
+    it('should not retry when retryIf does not return true', async function () {
+        // create retryIf function
+        var retryIf = sandbox.stub().returns(false)
+        // bind bar withDetach foo with retry
+        ImmutableCore.withDetach('FooModule.foo', barModule.bar, {retry: {attempts: 3, retryIf: retryIf}})
+        // call foo
+        await fooModule.foo()
+        // wait for detached calls
+        await ImmutableCore.drain()
+        // check calls
+        assert.calledOnce(bar)
+        assert.strictEqual(retryIf.firstCall.args[0].message, 'bar error')
+        assert.calledWithMatch(logClient.log, 'moduleCallBindFail', {attempts: 1})
+    })
+
+    it('should wait for delay between attempts', async function () {
+        // bind bar afterDetach foo with retry
+        ImmutableCore.afterDetach('FooModule.foo', barModule.bar, {retry: {attempts: 2, delay: 30}})
+        // call foo
+        await fooModule.foo()
+        // wait for less than delay
+        await Promise.delay(15)
+        // check calls
+        assert.calledOnce(bar)
+        // wait for detached calls
+        await ImmutableCore.drain()
+        // check calls
+        assert.calledTwice(bar)
+    })
+
+    it('should double delay with exponential backoff', async function () {
+        // track time of each call
+        var times = []
+        bar.callsFake(() => {
+            times.push(Date.now())
+            return Promise.reject(new Error('bar error'))
+        })
+        // bind bar afterDetach foo with retry
+        ImmutableCore.afterDetach('FooModule.foo', barModule.bar, {retry: {attempts: 3, backoff: 'exponential', delay: 20}})
+        // call foo
+        await fooModule.foo()
+        // wait for detached calls
+        await ImmutableCore.drain()
+        // check delays
+        assert.strictEqual(times.length, 3)
+        assert.isAtLeast(times[1] - times[0], 15)
+        assert.isAtLeast(times[2] - times[1], 35)
+    })
+
+    it('should throw error on retry for bind type that is not detached', function () {
+        assert.throws(() => {
+            ImmutableCore.after('FooModule.foo', barModule.bar, {retry: {attempts: 3}})
+        }, 'bind error: retry not allowed for after')
+    })
+
+    it('should throw error on invalid retry options', function () {
+        assert.throws(() => {
+            ImmutableCore.afterDetach('FooModule.foo', barModule.bar, {retry: {attempts: 0}})
+        }, 'bind error: retry attempts must be positive integer')
+        assert.throws(() => {
+            ImmutableCore.afterDetach('FooModule.foo', barModule.bar, {retry: {attempts: 2, backoff: 'foo'}})
+        }, 'bind error: invalid retry backoff foo')
+        assert.throws(() => {
+            ImmutableCore.afterDetach('FooModule.foo', barModule.bar, {retry: {attempts: 2, retryIf: true}})
+        }, 'bind error: retry retryIf must be function')
+    })
+
+})
@@ -0,0 +1,126 @@
+'use strict'
+
+/* npm modules */
+const Promise = require('bluebird')
+const chai = require('chai')
+const sinon = require('sinon')
+
+/* application modules */
+const ImmutableCore = require('../lib/immutable-core')
+const MockLogClient = require('../mock/mock-log-client')
+
+/* chai config */
+const assert = chai.assert
+sinon.assert.expose(chai.assert, { prefix: '' })
+
+describe('immutable-core bind when', function () {
+
+    var bar, barModule, fooModule, sandbox
+
+    beforeEach(function () {
+        // reset global singleton data
+        ImmutableCore.reset().strictArgs(false)
+        // create sinon sandbox
+        sandbox = sinon.createSandbox()
+        // create FooModule
+        fooModule = ImmutableCore.module('FooModule', {
+            foo: () => ({foo: true}),
+        })
+        // create stub for bar
+        bar = sandbox.stub().resolves({bar: true})
+        // create BarModule
+        barModule = ImmutableCore.module('BarModule', {
+            bar: bar,
+        })
+    })
+
+    afterEach(function () {
+        // clear sinon sandbox
+        sandbox.restore()
+    })
+
+    it('should call bound method when condition is true', async function () {
+        // bind bar after foo for account
+        ImmutableCore.after('FooModule.foo', barModule.bar, {
+            when: (args, session) => session.accountId === '1',
+        })
+        // call foo
+        var res = await fooModule.foo({session: {accountId: '1'}})
+        // check result
+        assert.deepEqual(res, {foo: true, bar: true})
+        assert.calledOnce(bar)
+    })
+
+    it('should not call bound method when condition is false', async function () {
+        // bind bar after foo for account
+        ImmutableCore.after('FooModule.foo', barModule.bar, {
+            when: (args, session) => session.accountId === '1',
+        })
+        // call foo
+        var res = await fooModule.foo({session: {accountId: '2'}})
+        // check result
+        assert.deepEqual(res, {foo: true})
+        assert.notCalled(bar)
+    })
+
+    it('should call condition with args and session', async function () {
+        // create when stub
+        var when = sandbox.stub().returns(true)
+        // bind bar before foo
+        ImmutableCore.before('FooModule.foo', barModule.bar, {when: when})
+        // call foo
+        await fooModule.foo({foo: 'foo', session: {accountId: '1'}})
+        // check when args
+        assert.calledOnce(when)
+        assert.strictEqual(when.firstCall.args[0].foo, 'foo')
+        assert.strictEqual(when.firstCall.args[1].accountId, '1')
+    })
+
+    it('should evaluate condition for all bind types', async function () {
+        // bind bar with all bind types
+        ImmutableCore.before('FooModule.foo', barModule.bar, {when: () => false})
+        ImmutableCore.beforeDetach('FooModule.foo', barModule.bar, {when: () => false})
+        ImmutableCore.with('FooModule.foo', barModule.bar, {when: () => false})
+        ImmutableCore.withDetach('FooModule.foo', barModule.bar, {when: () => false})
+        ImmutableCore.after('FooModule.foo', barModule.bar, {when: () => false})
+        ImmutableCore.afterDetach('FooModule.foo', barModule.bar, {when: () => false})
+        // call foo
+        await fooModule.foo()
+        // wait for detached methods
+        await Promise.delay(10)
+        // bar should not be called
+        assert.notCalled(bar)
+    })
+
+    it('should log skipped bind', async function () {
+        // create log client
+        var logClient = new MockLogClient(sandbox)
+        // create method with log client
+        fooModule.method('baz', () => true, {allowOverride: true, logClient: logClient})
+        // bind bar before baz
+        ImmutableCore.before('FooModule.baz', barModule.bar, {when: () => false})
+        // call baz
+        await fooModule.baz({session: {requestId: 'x'}})
+        // check log
+        assert.calledWithMatch(logClient.log, 'moduleCallBindSkip', {
+            bindSignature: 'BarModule.bar',
+            bindType: 'before',
+            requestId: 'x',
+            signature: 'FooModule.baz',
+        })
+    })
+
+    it('should reject if condition throws error', async function () {
+        // bind bar before foo
+        ImmutableCore.before('FooModule.foo', barModule.bar, {
+            when: () => { throw new Error('when') },
+        })
+        // call foo
+        await fooModule.foo().then(() => assert.fail(), err => assert.strictEqual(err.message, 'when'))
+    })
+
+    it('should throw error when condition is not function', function () {
+        assert.throws(() => ImmutableCore.before('FooModule.foo', barModule.bar, {when: true}))
+    })
+
+})
@@ -0,0 +1,145 @@
+'use strict'
+
+/* npm modules */
+const Promise = require('bluebird')
+const chai = require('chai')
+const sinon = require('sinon')
+
+/* application modules */
+const ImmutableCore = require('../lib/immutable-core')
+const MockCacheClient = require('../mock/mock-cache-client')
+
+/* chai config */
+const assert = chai.assert
+sinon.assert.expose(chai.assert, { prefix: '' })
+
+describe('immutable-core cache coalesce', function () {
+
+    var sandbox
+
+    var cacheClient
+
+    beforeEach(function () {
+        // reset global singleton data
+        ImmutableCore.reset().strictArgs(false)
+        // create sinon sandbox
+        sandbox = sinon.createSandbox()
+        // create mock cache client
+        cacheClient = new MockCacheClient(sandbox)
+    })
+
+    afterEach(function () {
+        // clear sinon sandbox
+        sandbox.restore()
+    })
+
+    it('should call method once for concurrent misses with same key', async function () {
+        // create slow foo method
+        var foo = sandbox.stub().callsFake(() => Promise.delay(10).return({foo: true}))
+        var fooModule = ImmutableCore.module('FooModule', {
+            foo: foo,
+        })
+        // add cache to foo
+        ImmutableCore.cache('FooModule.foo', {
+            cacheClient: cacheClient,
+            coalesce: true,
+        })
+        // call foo concurrently
+        var res = await Promise.all([
+            fooModule.foo({bar: 1, session: {}}),
+            fooModule.foo({bar: 1, session: {}}),
+            fooModule.foo({bar: 1, session: {}}),
+        ])
+        // check method called and result cached once
+        assert.calledOnce(foo)
+        assert.calledOnce(cacheClient.set)
+        // check each caller got own copy
+        assert.deepEqual(res[0], {foo: true})
+        assert.deepEqual(res[1], {foo: true})
+        assert.notStrictEqual(res[0], res[1])
+        assert.notStrictEqual(res[1], res[2])
+    })
+
+    it('should not coalesce calls with different keys', async function () {
+        // create slow foo method
+        var foo = sandbox.stub().callsFake(() => Promise.delay(10).return(true))
+        var fooModule = ImmutableCore.module('FooModule', {
+            foo: foo,
+        })
+        // add cache to foo
+        ImmutableCore.cache('FooModule.foo', {
+            cacheClient: cacheClient,
+            coalesce: true,
+        })
+        // call foo concurrently with different args
+        await Promise.all([
+            fooModule.foo({bar: 1, session: {}}),
+            fooModule.foo({bar: 2, session: {}}),
+        ])
+        // check method called for each key
+        assert.calledTwice(foo)
+    })
+
+    it('should call method again after in-flight call settles', async function () {
+        // create foo method
+        var foo = sandbox.stub().resolves(true)
+        var fooModule = ImmutableCore.module('FooModule', {
+            foo: foo,
+        })
+        // add cache to foo
+        ImmutableCore.cache('FooModule.foo', {
+            cacheClient: cacheClient,
+            coalesce: true,
+        })
+        // call foo twice in sequence - mock cache always misses
+        await fooModule.foo({session: {}})
+        await fooModule.foo({session: {}})
+        // check method called for each call
+        assert.calledTwice(foo)
+    })
+
+    it('should reject all concurrent calls if method rejects', async function () {
+        // create slow foo method that rejects
+        var foo = sandbox.stub().callsFake(() => Promise.delay(10).then(() => {
+            throw new Error('foo')
+        }))
+        var fooModule = ImmutableCore.module('FooModule', {
+            foo: foo,
+        })
+        // add cache to foo
+        ImmutableCore.cache('FooModule.foo', {
+            cacheClient: cacheClient,
+            coalesce: true,
+        })
+        // call foo concurrently
+        var res = await Promise.all([
+            fooModule.foo({session: {}}).reflect(),
+            fooModule.foo({session: {}}).reflect(),
+        ])
+        // check both rejected
+        assert.isTrue(res[0].isRejected())
+        assert.isTrue(res[1].isRejected())
+        assert.calledOnce(foo)
+        assert.notCalled(cacheClient.set)
+    })
+
+    it('should call method for each concurrent miss without coalesce', async function () {
+        // create slow foo method
+        var foo = sandbox.stub().callsFake(() => Promise.delay(10).return(true))
+        var fooModule = ImmutableCore.module('FooModule', {
+            foo: foo,
+        })
+        // add cache to foo
+        ImmutableCore.cache('FooModule.foo', {
+            cacheClient: cacheClient,
+        })
+        // call foo concurrently
+        await Promise.all([
+            fooModule.foo({session: {}}),
+            fooModule.foo({session: {}}),
+        ])
+        // check method called for each call
+        assert.calledTwice(foo)
+    })
+
+})
@@ -0,0 +1,260 @@
+'use strict'
+
+/* npm modules */
+const Promise = require('bluebird')
+const chai = require('chai')
+const sinon = require('sinon')
+
+/* application modules */
+const ImmutableCore = require('../lib/immutable-core')
+const MockLogClient = require('../mock/mock-log-client')
+
+/* chai config */
+const assert = chai.assert
+sinon.assert.expose(chai.assert, { prefix: '' })
+
+describe('immutable-core cache stale while revalidate', function () {
+
+    var sandbox
+
+    var cacheClient, clock
+
+    beforeEach(function () {
+        // reset global singleton data
+        ImmutableCore.reset().strictArgs(false)
+        // create sinon sandbox
+        sandbox = sinon.createSandbox()
+        // fake Date only so promises and timers still run
+        clock = sandbox.useFakeTimers({now: 1000000, toFake: ['Date']})
+        // create memory cache client
+        cacheClient = ImmutableCore.MemoryCacheClient()
+    })
+
+    afterEach(function () {
+        // clear sinon sandbox
+        sandbox.restore()
+    })
+
+    it('should throw error on invalid staleAfter', function () {
+        assert.throws(() => {
+            ImmutableCore.cache('FooModule.foo', {
+                cacheClient: cacheClient,
+                staleAfter: 0,
+            })
+        }, /cache error: staleAfter must be positive number/)
+    })
+
+    it('should store entry with time it becomes stale', async function () {
+        // create FooModule
+        var fooModule = ImmutableCore.module('FooModule', {
+            foo: () => 'foo',
+        })
+        // add cache to foo
+        ImmutableCore.cache('FooModule.foo', {
+            cacheClient: cacheClient,
+            staleAfter: 10,
+        })
+        // spy on set
+        sandbox.spy(cacheClient, 'set')
+        // call foo
+        var res = await fooModule.foo({session: {}})
+        // check result and stored entry
+        assert.strictEqual(res, 'foo')
+        assert.deepEqual(cacheClient.set.firstCall.args[1], {
+            staleAt: 1010000,
+            value: 'foo',
+        })
+    })
+
+    it('should return fresh value without refresh', async function () {
+        // create FooModule
+        var foo = sandbox.stub().resolves({foo: 1})
+        var fooModule = ImmutableCore.module('FooModule', {
+            foo: foo,
+        })
+        // add cache to foo
+        ImmutableCore.cache('FooModule.foo', {
+            cacheClient: cacheClient,
+            staleAfter: 10,
+        })
+        // call foo twice
+        await fooModule.foo({session: {}})
+        var res = await fooModule.foo({session: {}})
+        // check cached value returned
+        assert.strictEqual(res.foo, 1)
+        assert.isString(res._cached)
+        assert.calledOnce(foo)
+        assert.deepEqual(ImmutableCore.pendingDetached(), [])
+    })
+
+    it('should return stale value and refresh in background', async function () {
+        // create FooModule that returns incrementing value
+        var count = 0
+        var foo = sandbox.stub().callsFake(() => Promise.delay(10).then(() => ({foo: ++count})))
+        var fooModule = ImmutableCore.module('FooModule', {
+            foo: foo,
+        })
+        // add cache to foo
+        ImmutableCore.cache('FooModule.foo', {
+            cacheClient: cacheClient,
+            expire: 60,
+            staleAfter: 10,
+        })
+        // call foo to populate cache
+        await fooModule.foo({session: {}})
+        // make entry stale
+        clock.tick(10000)
+        // call foo - should get stale value immediately
+        var res = await fooModule.foo({session: {}})
+        assert.strictEqual(res.foo, 1)
+        // check refresh pending
+        var pending = ImmutableCore.pendingDetached()
+        assert.strictEqual(pending.length, 1)
+        assert.strictEqual(pending[0].bindType, 'cacheRefresh')
+        assert.strictEqual(pending[0].signature, 'FooModule.foo')
+        // wait for refresh
+        await ImmutableCore.drain()
+        // check refreshed value returned
+        res = await fooModule.foo({session: {}})
+        assert.strictEqual(res.foo, 2)
+        assert.calledTwice(foo)
+    })
+
+    it('should only run one refresh for concurrent stale calls', async function () {
+        // create slow FooModule method
+        var foo = sandbox.stub().callsFake(() => Promise.delay(10).return('foo'))
+        var fooModule = ImmutableCore.module('FooModule', {
+            foo: foo,
+        })
+        // add cache to foo
+        ImmutableCore.cache('FooModule.foo', {
+            cacheClient: cacheClient,
+            staleAfter: 10,
+        })
+        // call foo to populate cache
+        await fooModule.foo({session: {}})
+        // make entry stale
+        clock.tick(10000)
+        // call foo concurrently
+        await Promise.all([
+            fooModule.foo({session: {}}),
+            fooModule.foo({session: {}}),
+            fooModule.foo({session: {}}),
+        ])
+        // wait for refresh
+        await ImmutableCore.drain()
+        // check only one refresh
+        assert.calledTwice(foo)
+    })
+
+    it('should log and ignore refresh errors', async function () {
+        // create log client
+        var logClient = new MockLogClient(sandbox)
+        // create FooModule that fails after first call
+        var foo = sandbox.stub()
+        foo.onCall(0).resolves('foo')
+        foo.onCall(1).rejects(new Error('refresh'))
+        var fooModule = ImmutableCore.module('FooModule', {
+            foo: foo,
+        }, {
+            logClient: logClient,
+        })
+        // add cache to foo
+        ImmutableCore.cache('FooModule.foo', {
+            cacheClient: cacheClient,
+            staleAfter: 10,
+        })
+        // call foo to populate cache
+        await fooModule.foo({session: {}})
+        // make entry stale
+        clock.tick(10000)
+        // call foo
+        assert.strictEqual(await fooModule.foo({session: {}}), 'foo')
+        // wait for refresh
+        await ImmutableCore.drain()
+        // check error logged
+        assert.calledOnce(logClient.error)
+        assert.strictEqual(logClient.error.firstCall.args[0].message, 'refresh')
+        // stale value still returned
+        assert.strictEqual(await fooModule.foo({session: {}}), 'foo')
+        // wait for refresh started by last call
+        await ImmutableCore.drain()
+    })
+
+    it('should time out refresh using method timeout', async function () {
+        // create log client
+        var logClient = new MockLogClient(sandbox)
+        // create FooModule that hangs after first call
+        var foo = sandbox.stub()
+        foo.onCall(0).resolves('foo')
+        foo.onCall(1).returns(new Promise(() => {}))
+        foo.onCall(2).resolves('bar')
+        var fooModule = ImmutableCore.module('FooModule', {
+            foo: foo,
+        }, {
+            logClient: logClient,
+            timeout: 10,
+        })
+        // add cache to foo
+        ImmutableCore.cache('FooModule.foo', {
+            cacheClient: cacheClient,
+            staleAfter: 10,
+        })
+        // call foo to populate cache
+        await fooModule.foo({session: {}})
+        // make entry stale
+        clock.tick(10000)
+        // call foo which starts refresh that hangs
+        assert.strictEqual(await fooModule.foo({session: {}}), 'foo')
+        // wait for refresh to time out
+        await ImmutableCore.drain()
+        // check timeout logged
+        assert.calledOnce(logClient.error)
+        assert.instanceOf(logClient.error.firstCall.args[0], ImmutableCore.TimeoutError)
+        // key can be refreshed again
+        assert.strictEqual(await fooModule.foo({session: {}}), 'foo')
+        await ImmutableCore.drain()
+        assert.strictEqual(await fooModule.foo({session: {}}), 'bar')
+    })
+
+    it('should log refresh call and result', async function () {
+        // create log client
+        var logClient = new MockLogClient(sandbox)
+        // create FooModule
+        var foo = sandbox.stub()
+        foo.onCall(0).resolves('foo')
+        foo.onCall(1).resolves('bar')
+        var fooModule = ImmutableCore.module('FooModule', {
+            foo: foo,
+        }, {
+            logClient: logClient,
+        })
+        // add cache to foo
+        ImmutableCore.cache('FooModule.foo', {
+            cacheClient: cacheClient,
+            staleAfter: 10,
+        })
+        // call foo to populate cache
+        await fooModule.foo({session: {}})
+        // make entry stale
+        clock.tick(10000)
+        // call foo which starts refresh
+        await fooModule.foo({session: {}})
+        // wait for refresh
+        await ImmutableCore.drain()
+        // get refresh call id from args of refresh call
+        var refreshCallId = foo.secondCall.args[0].session.moduleCallId
+        // check refresh call and result logged
+        assert.calledWithMatch(logClient.log, 'moduleCall', {
+            functionName: 'foo',
+            moduleCallId: refreshCallId,
+            moduleName: 'FooModule',
+        })
+        assert.calledWithMatch(logClient.log, 'moduleCallResolve', {
+            moduleCallId: refreshCallId,
+            moduleCallResolveData: 'bar',
+            resolved: 1,
+        })
+    })
+
+})
@@ -0,0 +1,343 @@
+'use strict'
+
+/* npm modules */
+const chai = require('chai')
+const sinon = require('sinon')
+
+/* application modules */
+const ImmutableCore = require('../lib/immutable-core')
+const MockCacheClient = require('../mock/mock-cache-client')
+
+/* chai config */
+const assert = chai.assert
+sinon.assert.expose(chai.assert, { prefix: '' })
+
+describe('immutable-core cache tags', function () {
+
+    var sandbox
+
+    var cacheClient
+
+    beforeEach(function () {
+        // reset global singleton data
+        ImmutableCore.reset().strictArgs(false)
+        // create sinon sandbox
+        sandbox = sinon.createSandbox()
+        // create mock cache client
+        cacheClient = new MockCacheClient(sandbox)
+    })
+
+    afterEach(function () {
+        // clear sinon sandbox
+        sandbox.restore()
+    })
+
+    it('should throw error if tags is not function', function () {
+        assert.throws(() => {
+            ImmutableCore.cache('FooModule.foo', {
+                cacheClient: cacheClient,
+                tags: ['foo'],
+            })
+        }, /cache error: tags must be function/)
+    })
+
+    it('should throw error if cache client has no del', function () {
+        // remove del from cache client
+        delete cacheClient.del
+        // create FooModule
+        ImmutableCore.module('FooModule', {
+            foo: () => true,
+        })
+        // add cache to foo
+        assert.throws(() => {
+            ImmutableCore.cache('FooModule.foo', {
+                cacheClient: cacheClient,
+                tags: () => [],
+            })
+        }, /must provide del method for tags/)
+    })
+
+    it('should call tags with args and result when result cached', async function () {
+        // create tags stub
+        var tags = sandbox.stub().returns(['foo'])
+        // create FooModule
+        var fooModule = ImmutableCore.module('FooModule', {
+            foo: () => 'foo',
+        })
+        // add cache to foo
+        ImmutableCore.cache('FooModule.foo', {
+            cacheClient: cacheClient,
+            tags: tags,
+        })
+        // call foo
+        await fooModule.foo({bar: 1, session: {}})
+        // check tags called
+        assert.calledOnce(tags)
+        assert.calledWithMatch(tags, {bar: 1}, 'foo')
+    })
+
+    it('should not call tags when result not cached', async function () {
+        // create tags stub
+        var tags = sandbox.stub().returns(['foo'])
+        // create FooModule
+        var fooModule = ImmutableCore.module('FooModule', {
+            foo: () => null,
+        })
+        // add cache to foo
+        ImmutableCore.cache('FooModule.foo', {
+            cacheClient: cacheClient,
+            tags: tags,
+        })
+        // call foo
+        await fooModule.foo({session: {}})
+        // check tags not called
+        assert.notCalled(tags)
+    })
+
+    it('should delete entries across signatures with tag', async function () {
+        // create modules
+        var fooModule = ImmutableCore.module('FooModule', {
+            foo: () => 'foo',
+        })
+        var barModule = ImmutableCore.module('BarModule', {
+            bar: () => 'bar',
+        })
+        // add cache rules with tags from args
+        ImmutableCore.cache('FooModule.foo', {
+            cacheClient: cacheClient,
+            tags: args => [`account:${args.accountId}`],
+        })
+        ImmutableCore.cache('BarModule.bar', {
+            cacheClient: cacheClient,
+            tags: args => [`account:${args.accountId}`, 'bar'],
+        })
+        // call methods
+        await fooModule.foo({accountId: 1, session: {}})
+        await barModule.bar({accountId: 1, session: {}})
+        await barModule.bar({accountId: 2, session: {}})
+        // get keys
+        var fooKey = cacheClient.set.getCall(0).args[0]
+        var barKey = cacheClient.set.getCall(1).args[0]
+        // invalidate tag
+        var session = {}
+        var count = await ImmutableCore.invalidateTags(['account:1'], session)
+        // check entries deleted
+        assert.strictEqual(count, 2)
+        assert.calledTwice(cacheClient.del)
+        assert.calledWithExactly(cacheClient.del, fooKey, session)
+        assert.calledWithExactly(cacheClient.del, barKey, session)
+    })
+
+    it('should only delete entry once if it has multiple tags', async function () {
+        // create FooModule
+        var fooModule = ImmutableCore.module('FooModule', {
+            foo: () => 'foo',
+        })
+        // add cache with multiple tags
+        ImmutableCore.cache('FooModule.foo', {
+            cacheClient: cacheClient,
+            tags: () => ['foo', 'bar'],
+        })
+        // call foo
+        await fooModule.foo({session: {}})
+        // invalidate tags
+        var count = await ImmutableCore.invalidateTags(['foo', 'bar'])
+        // check entry deleted once
+        assert.strictEqual(count, 1)
+        assert.calledOnce(cacheClient.del)
+    })
+
+    it('should remove tag from index after invalidating', async function () {
+        // create FooModule
+        var fooModule = ImmutableCore.module('FooModule', {
+            foo: () => 'foo',
+        })
+        // add cache with tag
+        ImmutableCore.cache('FooModule.foo', {
+            cacheClient: cacheClient,
+            tags: () => ['foo'],
+        })
+        // call foo
+        await fooModule.foo({session: {}})
+        // invalidate tag twice
+        await ImmutableCore.invalidateTags(['foo'])
+        var count = await ImmutableCore.invalidateTags(['foo'])
+        // check entry only deleted first time
+        assert.strictEqual(count, 0)
+        assert.calledOnce(cacheClient.del)
+    })
+
+    it('should ignore errors and invalid values from tags', async function () {
+        // create FooModule
+        var fooModule = ImmutableCore.module('FooModule', {
+            bar: () => 'bar',
+            foo: () => 'foo',
+        })
+        // add cache rules with invalid tags
+        ImmutableCore.cache('FooModule.foo', {
+            cacheClient: cacheClient,
+            tags: () => { throw new Error('tags') },
+        })
+        ImmutableCore.cache('FooModule.bar', {
+            cacheClient: cacheClient,
+            tags: () => ['__proto__', 1],
+        })
+        // call methods
+        assert.strictEqual(await fooModule.foo({session: {}}), 'foo')
+        assert.strictEqual(await fooModule.bar({session: {}}), 'bar')
+        // invalidate tag
+        var count = await ImmutableCore.invalidateTags(['__proto__'])
+        // check entry deleted
+        assert.strictEqual(count, 1)
+    })
+
+    it('should throw error on invalid tags for invalidateTags', function () {
+        assert.throws(() => {
+            ImmutableCore.invalidateTags('foo')
+        }, /invalidateTags error: tags must be array of strings/)
+        assert.throws(() => {
+            ImmutableCore.invalidateTags([1])
+        }, /invalidateTags error: tags must be array of strings/)
+    })
+
+    it('should replace tags when result cached again for key', async function () {
+        // create FooModule
+        var fooModule = ImmutableCore.module('FooModule', {
+            foo: () => 'foo',
+        })
+        // return different tag for each result
+        var tags = sandbox.stub()
+        tags.onCall(0).returns(['foo'])
+        tags.onCall(1).returns(['bar'])
+        // add cache with tags
+        ImmutableCore.cache('FooModule.foo', {
+            cacheClient: cacheClient,
+            tags: tags,
+        })
+        // call foo twice with cache misses
+        await fooModule.foo({session: {}})
+        await fooModule.foo({session: {}})
+        // check tag index
+        assert.deepEqual(Array.from(ImmutableCore.getGlobal().cacheTags.keys()), ['bar'])
+        // old tag should not delete entry
+        assert.strictEqual(await ImmutableCore.invalidateTags(['foo']), 0)
+        assert.strictEqual(await ImmutableCore.invalidateTags(['bar']), 1)
+    })
+
+    it('should remove key from all tags after invalidating', async function () {
+        // create FooModule
+        var fooModule = ImmutableCore.module('FooModule', {
+            foo: () => 'foo',
+        })
+        // add cache with multiple tags
+        ImmutableCore.cache('FooModule.foo', {
+            cacheClient: cacheClient,
+            tags: () => ['foo', 'bar'],
+        })
+        // call foo
+        await fooModule.foo({session: {}})
+        // invalidate one tag
+        await ImmutableCore.invalidateTags(['foo'])
+        // check tag index empty
+        assert.strictEqual(ImmutableCore.getGlobal().cacheTags.size, 0)
+        assert.strictEqual(ImmutableCore.getGlobal().cacheTagKeys.size, 0)
+    })
+
+    it('should remove key from tag index on invalidate', async function () {
+        // create FooModule
+        var fooModule = ImmutableCore.module('FooModule', {
+            foo: () => 'foo',
+        })
+        // add cache with tag
+        ImmutableCore.cache('FooModule.foo', {
+            cacheClient: cacheClient,
+            tags: () => ['foo'],
+        })
+        // call foo
+        await fooModule.foo({session: {}})
+        // invalidate entry
+        await ImmutableCore.invalidate('FooModule.foo', {session: {}})
+        // check tag index empty
+        assert.strictEqual(ImmutableCore.getGlobal().cacheTags.size, 0)
+        assert.strictEqual(ImmutableCore.getGlobal().cacheTagKeys.size, 0)
+        // tag should not delete entry again
+        assert.strictEqual(await ImmutableCore.invalidateTags(['foo']), 0)
+        assert.calledOnce(cacheClient.del)
+    })
+
+    it('should remove key from tag index on invalidateOn', async function () {
+        // create modules
+        var fooModule = ImmutableCore.module('FooModule', {
+            foo: () => 'foo',
+        })
+        var barModule = ImmutableCore.module('BarModule', {
+            bar: () => 'bar',
+        })
+        // add cache with tag invalidated by bar
+        ImmutableCore.cache('FooModule.foo', {
+            cacheClient: cacheClient,
+            invalidateOn: ['BarModule.bar'],
+            tags: () => ['foo'],
+        })
+        // call foo
+        await fooModule.foo({session: {}})
+        // call bar to invalidate foo
+        await barModule.bar({session: {}})
+        // check tag index empty
+        assert.strictEqual(ImmutableCore.getGlobal().cacheTags.size, 0)
+        assert.strictEqual(ImmutableCore.getGlobal().cacheTagKeys.size, 0)
+    })
+
+    it('should remove expired keys from tag index', async function () {
+        // fake time
+        var clock = sandbox.useFakeTimers({now: 1000000, toFake: ['Date']})
+        // create FooModule
+        var fooModule = ImmutableCore.module('FooModule', {
+            foo: () => 'foo',
+        })
+        // add cache with tag and expiration
+        ImmutableCore.cache('FooModule.foo', {
+            cacheClient: cacheClient,
+            expire: 60,
+            tags: args => [`foo:${args.id}`],
+        })
+        // call foo
+        await fooModule.foo({id: 1, session: {}})
+        // expire entry
+        clock.tick(60 * 1000)
+        // expired entry should not be deleted
+        assert.strictEqual(await ImmutableCore.invalidateTags(['foo:1']), 0)
+        assert.notCalled(cacheClient.del)
+        // cache another entry
+        await fooModule.foo({id: 1, session: {}})
+        // expire entry
+        clock.tick(60 * 1000)
+        // cache entry with new key which removes expired key
+        await fooModule.foo({id: 2, session: {}})
+        // check only new key indexed
+        assert.deepEqual(Array.from(ImmutableCore.getGlobal().cacheTags.keys()), ['foo:2'])
+        assert.strictEqual(ImmutableCore.getGlobal().cacheTagKeys.size, 1)
+    })
+
+    it('should limit number of keys in tag index', async function () {
+        // allow time to cache many entries
+        this.timeout(10000)
+        // create FooModule
+        var fooModule = ImmutableCore.module('FooModule', {
+            foo: () => 'foo',
+        })
+        // add cache with tag
+        ImmutableCore.cache('FooModule.foo', {
+            cacheClient: cacheClient,
+            tags: () => ['foo'],
+        })
+        // cache more entries than the tag index allows
+        for (var id = 0; id <= 10000; id++) {
+            await fooModule.foo({id: id, session: {}})
+        }
+        // check oldest key removed
+        assert.strictEqual(ImmutableCore.getGlobal().cacheTagKeys.size, 10000)
+        assert.strictEqual(ImmutableCore.getGlobal().cacheTags.get('foo').size, 10000)
+    })
+
+})
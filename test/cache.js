@@ -217,6 +217,23 @@ describe('immutable-core cache', function () {
         )
     })
 
+    it('should not call original method again if it rejects', async function () {
+        // create stub for foo that rejects
+        var foo = sandbox.stub().rejects(new Error('foo'))
+        // create FooModule
+        var fooModule = ImmutableCore.module('FooModule', {
+            foo: foo,
+        })
+        // add cache to foo with cache client
+        ImmutableCore.cache('FooModule.foo', {cacheClient: cacheClient})
+        // call foo which should reject with error from method
+        await fooModule.foo().then(() => assert.fail(), err => assert.strictEqual(err.message, 'foo'))
+        // method should only be called once and result not cached
+        assert.calledOnce(foo)
+        assert.calledOnce(cacheClient.get)
+        assert.notCalled(cacheClient.set)
+    })
+
     it('should allow custom key generation method', async function () {
         // create FooModule
         var fooModule = ImmutableCore.module('FooModule', {
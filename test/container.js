@@ -0,0 +1,201 @@
+'use strict'
+
+/* npm modules */
+const chai = require('chai')
+const sinon = require('sinon')
+
+/* application modules */
+const ImmutableCore = require('../lib/immutable-core')
+const MockCacheClient = require('../mock/mock-cache-client')
+const MockLogClient = require('../mock/mock-log-client')
+
+/* chai config */
+const assert = chai.assert
+sinon.assert.expose(chai.assert, { prefix: '' })
+
+describe('immutable-core container', function () {
+
+    var sandbox
+
+    beforeEach(function () {
+        // reset global singleton data
+        ImmutableCore.reset().strictArgs(false)
+        // create sinon sandbox
+        sandbox = sinon.createSandbox()
+    })
+
+    afterEach(function () {
+        // clear sinon sandbox
+        sandbox.restore()
+    })
+
+    it('should create container with same api', function () {
+        // create container
+        var container = ImmutableCore.createContainer()
+        // container should have all functions
+        assert.deepEqual(Object.keys(container), Object.keys(ImmutableCore))
+        assert.isTrue(container.ImmutableCore)
+    })
+
+    it('should use separate data store for container', function () {
+        // create container
+        var container = ImmutableCore.createContainer()
+        // container should have own data store
+        assert.notStrictEqual(container.getGlobal(), ImmutableCore.getGlobal())
+        assert.strictEqual(ImmutableCore.getGlobal(), global.__immutable_core__)
+    })
+
+    it('should create modules in container only', function () {
+        // create container
+        var container = ImmutableCore.createContainer()
+        // create FooModule in container
+        container.module('FooModule', {
+            foo: () => true,
+        })
+        // module should only exist in container
+        assert.isTrue(container.hasModule('FooModule'))
+        assert.isFalse(ImmutableCore.hasModule('FooModule'))
+        // same module can be defined in default container
+        ImmutableCore.module('FooModule', {
+            foo: () => true,
+        })
+    })
+
+    it('should set default options for container', function () {
+        // create log client
+        var logClient = new MockLogClient(sandbox)
+        // create container
+        var container = ImmutableCore.createContainer({
+            logClient: logClient,
+            strictArgs: false,
+        })
+        // check options
+        assert.strictEqual(container.logClient(), logClient)
+        assert.isFalse(container.strictArgs())
+        // default container should not be changed
+        assert.isUndefined(ImmutableCore.logClient())
+    })
+
+    it('should throw error on invalid option', function () {
+        assert.throws(() => ImmutableCore.createContainer({foo: true}))
+    })
+
+    it('should not share options between containers', function () {
+        // create containers
+        var containerA = ImmutableCore.createContainer()
+        var containerB = ImmutableCore.createContainer()
+        // set option on one container
+        containerA.allowOverride(true)
+        // check options
+        assert.isTrue(containerA.allowOverride())
+        assert.isFalse(containerB.allowOverride())
+    })
+
+    it('should bind methods within container', async function () {
+        // create container
+        var container = ImmutableCore.createContainer({strictArgs: false})
+        // create stub for bar
+        var bar = sandbox.stub().resolves()
+        // create BarModule in container
+        var barModule = container.module('BarModule', {
+            bar: bar,
+        })
+        // bind before foo in container
+        container.before('FooModule.foo', barModule.bar)
+        // create FooModule in container and default
+        var fooModule = container.module('FooModule', {
+            foo: () => true,
+        })
+        var defaultFooModule = ImmutableCore.module('FooModule', {
+            foo: () => true,
+        })
+        // call foo in default container
+        await defaultFooModule.foo()
+        // bar should not be called
+        assert.notCalled(bar)
+        // call foo in container
+        await fooModule.foo()
+        // bar should be called
+        assert.calledOnce(bar)
+        // bind should be stored in container
+        assert.property(container.getGlobal().binds, 'FooModule')
+        assert.deepEqual(ImmutableCore.getGlobal().binds, {})
+    })
+
+    it('should bind and cache methods on module within container', async function () {
+        // create container
+        var container = ImmutableCore.createContainer({strictArgs: false})
+        // create modules in container
+        var fooModule = container.module('FooModule', {
+            foo: () => true,
+        })
+        var barModule = container.module('BarModule', {
+            bar: () => true,
+        })
+        // bind and cache using module
+        fooModule.bind('after', 'foo', barModule.bar)
+        fooModule.cache('foo', {cacheClient: new MockCacheClient(sandbox)})
+        // binds and caches should be stored in container
+        assert.property(container.getGlobal().binds, 'FooModule')
+        assert.property(container.getGlobal().caches, 'FooModule')
+        assert.deepEqual(ImmutableCore.getGlobal().binds, {})
+        assert.deepEqual(ImmutableCore.getGlobal().caches, {})
+    })
+
+    it('should reset container without changing default container', function () {
+        // create container
+        var container = ImmutableCore.createContainer()
+        // create modules
+        container.module('FooModule', {})
+        ImmutableCore.module('FooModule', {})
+        // reset container
+        container.reset()
+        // check modules
+        assert.isFalse(container.hasModule('FooModule'))
+        assert.isTrue(ImmutableCore.hasModule('FooModule'))
+    })
+
+    it('should call methods via this from container module within container', async function () {
+        // create barModule in default container
+        ImmutableCore.module('barModule', {
+            bar: () => 'default',
+        })
+        // create container
+        var container = ImmutableCore.createContainer({strictArgs: false})
+        // create barModule in container
+        container.module('barModule', {
+            bar: () => 'container',
+        })
+        // create fooModule in container that calls barModule via this
+        var fooModule = container.module('fooModule', {
+            foo: function () {
+                return this.module.bar.bar()
+            },
+        })
+        // method should be called from container
+        assert.strictEqual(await fooModule.foo(), 'container')
+    })
+
+    it('should get and set module data via this from container module within container', async function () {
+        // create container
+        var container = ImmutableCore.createContainer({strictArgs: false})
+        // create modules in both containers
+        ImmutableCore.module('barModule', {}).meta.data = {bar: 'default'}
+        container.module('barModule', {}).meta.data = {bar: 'container'}
+        // create fooModule in container that gets and sets data via this
+        var fooModule = container.module('fooModule', {
+            foo: function () {
+                // check data from container
+                assert.deepEqual(this.module.bar.data, {bar: 'container'})
+                // set data in container
+                this.module.bar.data = {bar: 'updated'}
+            },
+        })
+        // call method
+        await fooModule.foo()
+        // data should only be changed in container
+        assert.deepEqual(container.getData('barModule'), {bar: 'updated'})
+        assert.deepEqual(ImmutableCore.getData('barModule'), {bar: 'default'})
+    })
+
+})
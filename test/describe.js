@@ -0,0 +1,182 @@
+'use strict'
+
+/* npm modules */
+const chai = require('chai')
+const chaiSubset = require('chai-subset')
+const sinon = require('sinon')
+
+/* application modules */
+const ImmutableCore = require('../lib/immutable-core')
+const MockCacheClient = require('../mock/mock-cache-client')
+
+/* chai config */
+chai.use(chaiSubset)
+const assert = chai.assert
+
+describe('immutable-core describe', function () {
+
+    var sandbox
+
+    beforeEach(function () {
+        // reset global singleton data
+        ImmutableCore.reset().strictArgs(false)
+        // create sinon sandbox
+        sandbox = sinon.createSandbox()
+    })
+
+    afterEach(function () {
+        // clear sinon sandbox
+        sandbox.restore()
+    })
+
+    it('should describe modules, methods and functions', function () {
+        // create FooModule
+        var fooModule = ImmutableCore.module('FooModule', {
+            foo: () => true,
+        })
+        // set module data
+        fooModule.data = {foo: true}
+        // create function
+        ImmutableCore.function('bar', () => true)
+        // get description
+        var description = ImmutableCore.describe()
+        // check description
+        assert.containSubset(description, {
+            functions: {
+                bar: {
+                    functionId: ImmutableCore.function('bar').meta.functionId,
+                    functionName: 'bar',
+                },
+            },
+            modules: {
+                FooModule: {
+                    dataId: 'ce35fd691fe6c26448191f4528e1ffef',
+                    methods: {
+                        foo: {
+                            binds: {},
+                            methodName: 'foo',
+                            moduleName: 'FooModule',
+                            options: {
+                                ajv: true,
+                                freeze: false,
+                                strictArgs: false,
+                            },
+                            signature: 'FooModule.foo',
+                        },
+                    },
+                    name: 'FooModule',
+                    options: {
+                        ajv: true,
+                        strictArgs: false,
+                    },
+                },
+            },
+        })
+        // options that are not set should be omitted
+        assert.notProperty(description.modules.FooModule.options, 'logClient')
+        // description should be serializable
+        assert.deepEqual(JSON.parse(JSON.stringify(description)), description)
+    })
+
+    it('should describe binds and cache rules', function () {
+        // create FooModule
+        var fooModule = ImmutableCore.module('FooModule', {
+            foo: () => true,
+        })
+        // create BarModule
+        var barModule = ImmutableCore.module('BarModule', {
+            bar: () => true,
+        })
+        // bind bar before and after foo
+        ImmutableCore.before('FooModule.foo', barModule.bar)
+        ImmutableCore.afterDetach('FooModule.foo', barModule.bar)
+        // add cache rule
+        ImmutableCore.cache('FooModule.foo', {
+            cacheClient: new MockCacheClient(sandbox),
+            expire: 60,
+            keyParams: ['foo'],
+        })
+        // get method description
+        var description = ImmutableCore.describe('FooModule.foo')
+        // check description
+        assert.deepEqual(description.binds, {
+            afterDetach: ['BarModule.bar'],
+            before: ['BarModule.bar'],
+        })
+        assert.deepEqual(description.cache, {
+            cacheClient: true,
+            expire: 60,
+            keyParams: ['foo'],
+        })
+    })
+
+    it('should describe method and bind options', function () {
+        // create FooModule with method options
+        ImmutableCore.module('FooModule', {
+            foo: () => true,
+        }, {
+            merge: 'deep',
+            propagateTimeout: true,
+            sequential: true,
+            timeout: 1000,
+        })
+        // create BarModule
+        var barModule = ImmutableCore.module('BarModule', {
+            bar: () => true,
+        })
+        // bind bar with options
+        ImmutableCore.afterDetach('FooModule.foo', barModule.bar, {
+            priority: 10,
+            retry: {attempts: 2, retryIf: () => true},
+            timeout: 100,
+            when: () => true,
+        })
+        ImmutableCore.with('FooModule.foo', barModule.bar, {
+            merge: 'shallow',
+        })
+        // get method description
+        var description = ImmutableCore.describe('FooModule.foo')
+        // check method options
+        assert.containSubset(description.options, {
+            merge: 'deep',
+            propagateTimeout: true,
+            sequential: true,
+            timeout: 1000,
+        })
+        // check bind options
+        assert.deepEqual(description.bindOptions, {
+            afterDetach: {
+                'BarModule.bar': {
+                    priority: 10,
+                    retry: {attempts: 2, retryIf: true},
+                    timeout: 100,
+                    when: true,
+                },
+            },
+            with: {
+                'BarModule.bar': {
+                    merge: 'shallow',
+                },
+            },
+        })
+        // description should be serializable
+        assert.deepEqual(JSON.parse(JSON.stringify(description)), description)
+    })
+
+    it('should describe single module', function () {
+        // create FooModule
+        ImmutableCore.module('FooModule', {
+            foo: () => true,
+        })
+        // get module description
+        var description = ImmutableCore.describe('FooModule')
+        // check description
+        assert.strictEqual(description.name, 'FooModule')
+        assert.deepEqual(Object.keys(description.methods), ['foo'])
+    })
+
+    it('should throw error when describing undefined method', function () {
+        assert.throws(() => ImmutableCore.describe('FooModule.foo'))
+    })
+
+})
@@ -0,0 +1,133 @@
+'use strict'
+
+/* npm modules */
+const Promise = require('bluebird')
+const chai = require('chai')
+const sinon = require('sinon')
+
+/* application modules */
+const ImmutableCore = require('../lib/immutable-core')
+
+/* chai config */
+const assert = chai.assert
+sinon.assert.expose(chai.assert, { prefix: '' })
+
+describe('immutable-core drain', function () {
+
+    var bar, barModule, fooModule, sandbox
+
+    beforeEach(function () {
+        // reset global singleton data
+        ImmutableCore.reset().strictArgs(false)
+        // create sinon sandbox
+        sandbox = sinon.createSandbox()
+        // create FooModule
+        fooModule = ImmutableCore.module('FooModule', {
+            foo: () => ({foo: true}),
+        })
+        // create stub for bar that resolves after delay
+        bar = sandbox.stub().callsFake(() => Promise.delay(20).then(() => ({bar: true})))
+        // create BarModule
+        barModule = ImmutableCore.module('BarModule', {
+            bar: bar,
+        })
+    })
+
+    afterEach(function () {
+        // clear sinon sandbox
+        sandbox.restore()
+    })
+
+    it('should resolve immediately when no detached calls pending', async function () {
+        var res = await ImmutableCore.drain()
+        // check result
+        assert.strictEqual(res, ImmutableCore)
+    })
+
+    it('should wait for detached calls to settle', async function () {
+        // track completed calls
+        var done = false
+        bar.callsFake(() => Promise.delay(20).then(() => { done = true }))
+        // bind bar afterDetach foo
+        ImmutableCore.afterDetach('FooModule.foo', barModule.bar)
+        // call foo
+        await fooModule.foo()
+        // detached call should still be running
+        assert.isFalse(done)
+        // wait for detached calls
+        await ImmutableCore.drain()
+        // check call completed
+        assert.isTrue(done)
+    })
+
+    it('should wait for detached calls that reject', async function () {
+        // reject bar
+        bar.callsFake(() => Promise.delay(20).then(() => Promise.reject(new Error('bar error'))))
+        // bind bar beforeDetach foo
+        ImmutableCore.beforeDetach('FooModule.foo', barModule.bar)
+        // call foo
+        await fooModule.foo()
+        // wait for detached calls
+        await ImmutableCore.drain()
+        // check no pending calls
+        assert.deepEqual(ImmutableCore.pendingDetached(), [])
+    })
+
+    it('should return pending detached calls', async function () {
+        // bind bar withDetach foo
+        ImmutableCore.withDetach('FooModule.foo', barModule.bar)
+        // call foo
+        await fooModule.foo()
+        // get pending calls
+        var pending = ImmutableCore.pendingDetached()
+        // check pending calls
+        assert.strictEqual(pending.length, 1)
+        assert.strictEqual(pending[0].bindSignature, 'BarModule.bar')
+        assert.strictEqual(pending[0].bindType, 'withDetach')
+        assert.strictEqual(pending[0].signature, 'FooModule.foo')
+        assert.isDefined(pending[0].startTime)
+        assert.notProperty(pending[0], 'promise')
+        // wait for detached calls
+        await ImmutableCore.drain()
+        // check no pending calls
+        assert.deepEqual(ImmutableCore.pendingDetached(), [])
+    })
+
+    it('should reject with pending calls on timeout', async function () {
+        // bind bar afterDetach foo
+        ImmutableCore.afterDetach('FooModule.foo', barModule.bar)
+        // call foo
+        await fooModule.foo()
+        // wait for detached calls with timeout
+        try {
+            await ImmutableCore.drain({timeout: 1})
+        }
+        catch (err) {
+            var thrown = err
+        }
+        // check error
+        assert.isDefined(thrown)
+        assert.match(thrown.message, /^drain error: 1 detached calls pending/)
+        assert.strictEqual(thrown.data[0].bindSignature, 'BarModule.bar')
+        // wait for detached calls
+        await ImmutableCore.drain()
+    })
+
+    it('should track detached calls separately for containers', async function () {
+        // create container
+        var container = ImmutableCore.createContainer({strictArgs: false})
+        var bazModule = container.module('BazModule', {
+            baz: () => true,
+        })
+        // bind bar afterDetach baz in container
+        container.afterDetach('BazModule.baz', barModule.bar)
+        // call baz
+        await bazModule.baz()
+        // check pending calls
+        assert.strictEqual(container.pendingDetached().length, 1)
+        assert.strictEqual(ImmutableCore.pendingDetached().length, 0)
+        // wait for detached calls
+        await container.drain()
+    })
+
+})
@@ -0,0 +1,182 @@
+'use strict'
+
+/* npm modules */
+const _ = require('lodash')
+const chai = require('chai')
+
+/* application modules */
+const ImmutableCore = require('../lib/immutable-core')
+
+/* chai config */
+const assert = chai.assert
+
+describe('immutable-core graph', function () {
+
+    beforeEach(function () {
+        // reset global singleton data
+        ImmutableCore.reset().strictArgs(false)
+        // create FooModule
+        ImmutableCore.module('FooModule', {
+            foo: () => true,
+        })
+        // create BarModule
+        var barModule = ImmutableCore.module('BarModule', {
+            bar: () => true,
+        })
+        // bind bar before foo
+        ImmutableCore.before('FooModule.foo', barModule.bar)
+        // bind bar after method that is not defined
+        ImmutableCore.afterDetach('BazModule.baz', barModule.bar)
+    })
+
+    it('should build json graph by default', function () {
+        // get graph
+        var graph = ImmutableCore.graph()
+        // check nodes
+        assert.deepEqual(graph.nodes, [
+            {
+                defined: true,
+                id: 'BarModule.bar',
+                methodName: 'bar',
+                moduleName: 'BarModule',
+                pattern: false,
+            },
+            {
+                defined: false,
+                id: 'BazModule.baz',
+                methodName: 'baz',
+                moduleName: 'BazModule',
+                pattern: false,
+            },
+            {
+                defined: true,
+                id: 'FooModule.foo',
+                methodName: 'foo',
+                moduleName: 'FooModule',
+                pattern: false,
+            },
+        ])
+        // check edges
+        assert.deepEqual(graph.edges, [
+            {
+                bindType: 'afterDetach',
+                from: 'BazModule.baz',
+                pending: true,
+                to: 'BarModule.bar',
+            },
+            {
+                bindType: 'before',
+                from: 'FooModule.foo',
+                pending: false,
+                to: 'BarModule.bar',
+            },
+        ])
+    })
+
+    it('should build dot graph', function () {
+        assert.strictEqual(ImmutableCore.graph({format: 'dot'}), [
+            'digraph immutable {',
+            '    "BarModule.bar";',
+            '    "BazModule.baz" [style=dashed];',
+            '    "FooModule.foo";',
+            '    "BazModule.baz" -> "BarModule.bar" [label="afterDetach", style=dashed];',
+            '    "FooModule.foo" -> "BarModule.bar" [label="before"];',
+            '}',
+        ].join('\n'))
+    })
+
+    it('should build mermaid graph', function () {
+        assert.strictEqual(ImmutableCore.graph({format: 'mermaid'}), [
+            'graph LR',
+            '    n0["BarModule.bar"]',
+            '    n1["BazModule.baz"]:::pending',
+            '    n2["FooModule.foo"]',
+            '    n1 -.->|afterDetach| n0',
+            '    n2 -->|before| n0',
+            '    classDef pending stroke-dasharray: 5 5',
+        ].join('\n'))
+    })
+
+    it('should add nodes for wildcard binds', function () {
+        // create audit module
+        var auditModule = ImmutableCore.module('AuditModule', {
+            record: () => true,
+        })
+        // bind to pattern that matches method
+        ImmutableCore.after('*.foo', auditModule.record)
+        // bind to pattern that does not match any methods
+        ImmutableCore.after('*.save', auditModule.record)
+        // get graph
+        var graph = ImmutableCore.graph()
+        // check pattern nodes
+        assert.deepEqual(_.filter(graph.nodes, 'pattern'), [
+            {
+                defined: true,
+                id: '*.foo',
+                methodName: 'foo',
+                moduleName: '*',
+                pattern: true,
+            },
+            {
+                defined: false,
+                id: '*.save',
+                methodName: 'save',
+                moduleName: '*',
+                pattern: true,
+            },
+        ])
+        // check edges from patterns
+        assert.deepEqual(_.filter(graph.edges, edge => edge.from[0] === '*'), [
+            {
+                bindType: 'after',
+                from: '*.foo',
+                pending: false,
+                to: 'AuditModule.record',
+            },
+            {
+                bindType: 'after',
+                from: '*.save',
+                pending: true,
+                to: 'AuditModule.record',
+            },
+        ])
+    })
+
+    it('should build mermaid graph with wildcard binds', function () {
+        // create audit module
+        var auditModule = ImmutableCore.module('AuditModule', {
+            record: () => true,
+        })
+        // bind to pattern
+        ImmutableCore.after('*.save', auditModule.record)
+        // get graph
+        assert.strictEqual(ImmutableCore.graph({format: 'mermaid'}), [
+            'graph LR',
+            '    n0{{"*.save"}}:::pending',
+            '    n1["AuditModule.record"]',
+            '    n2["BarModule.bar"]',
+            '    n3["BazModule.baz"]:::pending',
+            '    n4["FooModule.foo"]',
+            '    n0 -.->|after| n1',
+            '    n3 -.->|afterDetach| n2',
+            '    n4 -->|before| n2',
+            '    classDef pending stroke-dasharray: 5 5',
+        ].join('\n'))
+    })
+
+    it('should build dot graph with wildcard binds', function () {
+        // create audit module
+        var auditModule = ImmutableCore.module('AuditModule', {
+            record: () => true,
+        })
+        // bind to pattern
+        ImmutableCore.after('*.save', auditModule.record)
+        // get graph
+        assert.include(ImmutableCore.graph({format: 'dot'}), '    "*.save" [shape=hexagon, style=dashed];')
+    })
+
+    it('should throw error on invalid format', function () {
+        assert.throws(() => ImmutableCore.graph({format: 'foo'}))
+    })
+
+})
@@ -0,0 +1,315 @@
+'use strict'
+
+/* npm modules */
+const chai = require('chai')
+const sinon = require('sinon')
+
+/* application modules */
+const ImmutableCore = require('../lib/immutable-core')
+const MockCacheClient = require('../mock/mock-cache-client')
+
+/* chai config */
+const assert = chai.assert
+sinon.assert.expose(chai.assert, { prefix: '' })
+
+describe('immutable-core invalidate', function () {
+
+    var sandbox
+
+    var cacheClient
+
+    beforeEach(function () {
+        // reset global singleton data
+        ImmutableCore.reset().strictArgs(false)
+        // create sinon sandbox
+        sandbox = sinon.createSandbox()
+        // create mock cache client
+        cacheClient = new MockCacheClient(sandbox)
+    })
+
+    afterEach(function () {
+        // clear sinon sandbox
+        sandbox.restore()
+    })
+
+    it('should allow cache client without del method', function () {
+        // remove del from cache client
+        delete cacheClient.del
+        // create FooModule
+        ImmutableCore.module('FooModule', {
+            foo: () => true,
+        })
+        // add cache to foo
+        ImmutableCore.cache('FooModule.foo', {cacheClient: cacheClient})
+    })
+
+    it('should throw error if cache client del is not function', function () {
+        // set invalid del
+        cacheClient.del = true
+        // create FooModule
+        ImmutableCore.module('FooModule', {
+            foo: () => true,
+        })
+        // add cache to foo
+        assert.throws(() => {
+            ImmutableCore.cache('FooModule.foo', {cacheClient: cacheClient})
+        }, /cacheClient del must be function/)
+    })
+
+    it('should delete entry with same key used by method call', async function () {
+        // create FooModule
+        var fooModule = ImmutableCore.module('FooModule', {
+            foo: () => true,
+        })
+        // add cache to foo
+        ImmutableCore.cache('FooModule.foo', {cacheClient: cacheClient})
+        // call foo to get key
+        await fooModule.foo({bar: 1, session: {}})
+        var key = cacheClient.get.firstCall.args[0]
+        // invalidate entry
+        var session = {}
+        await ImmutableCore.invalidate('FooModule.foo', {bar: 1, session: session})
+        // check del called with key
+        assert.calledOnce(cacheClient.del)
+        assert.calledWithExactly(cacheClient.del, key, session)
+    })
+
+    it('should delete entry with key from keyParams', async function () {
+        // create FooModule
+        var fooModule = ImmutableCore.module('FooModule', {
+            foo: () => true,
+        })
+        // add cache to foo
+        ImmutableCore.cache('FooModule.foo', {
+            cacheClient: cacheClient,
+            keyParams: ['bar'],
+        })
+        // call foo to get key
+        await fooModule.foo({bar: 1, baz: 1, session: {}})
+        var key = cacheClient.get.firstCall.args[0]
+        // invalidate entry without session
+        await ImmutableCore.invalidate('FooModule.foo', {bar: 1, baz: 2})
+        // check del called with key
+        assert.calledOnce(cacheClient.del)
+        assert.strictEqual(cacheClient.del.firstCall.args[0], key)
+        assert.deepEqual(cacheClient.del.firstCall.args[1], {})
+    })
+
+    it('should delete entry with key from keyMethod', async function () {
+        // create FooModule
+        ImmutableCore.module('FooModule', {
+            foo: () => true,
+        })
+        // add cache to foo
+        ImmutableCore.cache('FooModule.foo', {
+            cacheClient: cacheClient,
+            keyMethod: args => `foo:${args.bar}`,
+        })
+        // invalidate entry
+        await ImmutableCore.invalidate('FooModule.foo', {bar: 1})
+        // check del called with key
+        assert.calledWithMatch(cacheClient.del, 'foo:1')
+    })
+
+    it('should throw error on invalidate if method not cached', function () {
+        // create FooModule
+        ImmutableCore.module('FooModule', {
+            foo: () => true,
+        })
+        // invalidate entry
+        assert.throws(() => {
+            ImmutableCore.invalidate('FooModule.foo', {})
+        }, /invalidate error: FooModule\.foo is not cached/)
+    })
+
+    it('should throw error on invalidate if cache client has no del', function () {
+        // remove del from cache client
+        delete cacheClient.del
+        // create FooModule
+        ImmutableCore.module('FooModule', {
+            foo: () => true,
+        })
+        // add cache to foo
+        ImmutableCore.cache('FooModule.foo', {cacheClient: cacheClient})
+        // invalidate entry
+        assert.throws(() => {
+            ImmutableCore.invalidate('FooModule.foo', {})
+        }, /does not provide del method/)
+    })
+
+    it('should throw error on invalid invalidateOn', function () {
+        // require array
+        assert.throws(() => {
+            ImmutableCore.cache('FooModule.foo', {
+                cacheClient: cacheClient,
+                invalidateOn: 'BarModule.bar',
+            })
+        }, /invalidateOn must be array/)
+        // require valid signature
+        assert.throws(() => {
+            ImmutableCore.cache('FooModule.foo', {
+                cacheClient: cacheClient,
+                invalidateOn: ['BarModule.*'],
+            })
+        }, /cache error: invalidateOn/)
+    })
+
+    it('should throw error on invalidateOn if cache client has no del', function () {
+        // remove del from cache client
+        delete cacheClient.del
+        // create FooModule
+        ImmutableCore.module('FooModule', {
+            foo: () => true,
+        })
+        // add cache to foo
+        assert.throws(() => {
+            ImmutableCore.cache('FooModule.foo', {
+                cacheClient: cacheClient,
+                invalidateOn: ['BarModule.bar'],
+            })
+        }, /must provide del method for invalidateOn/)
+    })
+
+    it('should delete entry after invalidateOn method resolves', async function () {
+        // create FooModule
+        var fooModule = ImmutableCore.module('FooModule', {
+            foo: () => true,
+        })
+        // add cache to foo
+        ImmutableCore.cache('FooModule.foo', {
+            cacheClient: cacheClient,
+            invalidateOn: ['BarModule.bar'],
+            keyParams: ['id'],
+        })
+        // create module that invalidates foo
+        var barModule = ImmutableCore.module('BarModule', {
+            bar: () => 'bar',
+        })
+        // call foo to get key
+        await fooModule.foo({id: 1, session: {}})
+        var key = cacheClient.get.firstCall.args[0]
+        // call bar
+        var session = {}
+        var res = await barModule.bar({id: 1, name: 'bar', session: session})
+        // check result
+        assert.strictEqual(res, 'bar')
+        // check del called with key
+        assert.calledOnce(cacheClient.del)
+        assert.strictEqual(cacheClient.del.firstCall.args[0], key)
+        assert.isObject(cacheClient.del.firstCall.args[1])
+    })
+
+    it('should map key params from args of invalidateOn method', async function () {
+        // create FooModule
+        var fooModule = ImmutableCore.module('FooModule', {
+            foo: () => true,
+        })
+        // create module that invalidates foo
+        var barModule = ImmutableCore.module('BarModule', {
+            bar: () => 'bar',
+        })
+        // add cache to foo
+        ImmutableCore.cache('FooModule.foo', {
+            cacheClient: cacheClient,
+            invalidateOn: [{
+                params: {fooId: 'foo.id'},
+                signature: 'BarModule.bar',
+            }],
+        })
+        // call foo to get key
+        await fooModule.foo({fooId: 1, session: {}})
+        var key = cacheClient.get.firstCall.args[0]
+        // call bar
+        await barModule.bar({foo: {id: 1}, session: {}})
+        // check del called with key
+        assert.calledOnce(cacheClient.del)
+        assert.strictEqual(cacheClient.del.firstCall.args[0], key)
+    })
+
+    it('should not delete entry if invalidateOn method rejects', async function () {
+        // create FooModule
+        ImmutableCore.module('FooModule', {
+            foo: () => true,
+        })
+        // create module that invalidates foo
+        var barModule = ImmutableCore.module('BarModule', {
+            bar: () => Promise.reject(new Error('bar')),
+        })
+        // add cache to foo
+        ImmutableCore.cache('FooModule.foo', {
+            cacheClient: cacheClient,
+            invalidateOn: ['BarModule.bar'],
+        })
+        // call bar
+        await barModule.bar({session: {}}).catch(() => {})
+        // check del not called
+        assert.notCalled(cacheClient.del)
+    })
+
+    it('should ignore errors from del for invalidateOn method', async function () {
+        // del rejects
+        cacheClient.del.rejects(new Error('del'))
+        // create FooModule
+        ImmutableCore.module('FooModule', {
+            foo: () => true,
+        })
+        // create module that invalidates foo
+        var barModule = ImmutableCore.module('BarModule', {
+            bar: () => 'bar',
+        })
+        // add cache to foo
+        ImmutableCore.cache('FooModule.foo', {
+            cacheClient: cacheClient,
+            invalidateOn: ['BarModule.bar'],
+        })
+        // call bar
+        var res = await barModule.bar({session: {}})
+        // check result
+        assert.strictEqual(res, 'bar')
+        assert.calledOnce(cacheClient.del)
+    })
+
+    it('should not delete entry after cached method removed', async function () {
+        // create FooModule
+        ImmutableCore.module('FooModule', {
+            foo: () => true,
+        })
+        // create module that invalidates foo
+        var barModule = ImmutableCore.module('BarModule', {
+            bar: () => 'bar',
+        })
+        // add cache to foo
+        ImmutableCore.cache('FooModule.foo', {
+            cacheClient: cacheClient,
+            invalidateOn: ['BarModule.bar'],
+        })
+        // remove foo
+        ImmutableCore.removeMethod('FooModule.foo')
+        // call bar
+        await barModule.bar({session: {}})
+        // check del not called
+        assert.notCalled(cacheClient.del)
+    })
+
+    it('should delete entries for wildcard cache rule', async function () {
+        // create FooModule
+        ImmutableCore.module('FooModule', {
+            bar: () => true,
+            foo: () => true,
+        })
+        // create module that invalidates foo
+        var barModule = ImmutableCore.module('BarModule', {
+            bar: () => 'bar',
+        })
+        // add cache to all FooModule methods
+        ImmutableCore.cache('FooModule.*', {
+            cacheClient: cacheClient,
+            invalidateOn: ['BarModule.bar'],
+        })
+        // call bar
+        await barModule.bar({session: {}})
+        // check del called for each method
+        assert.calledTwice(cacheClient.del)
+    })
+
+})
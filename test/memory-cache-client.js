@@ -0,0 +1,279 @@
+'use strict'
+
+/* npm modules */
+const chai = require('chai')
+const sinon = require('sinon')
+
+/* application modules */
+const ImmutableCore = require('../lib/immutable-core')
+
+/* chai config */
+const assert = chai.assert
+sinon.assert.expose(chai.assert, { prefix: '' })
+
+describe('immutable-core memory cache client', function () {
+
+    var sandbox
+
+    beforeEach(function () {
+        // reset global singleton data
+        ImmutableCore.reset().strictArgs(false)
+        // create sinon sandbox
+        sandbox = sinon.createSandbox()
+    })
+
+    afterEach(function () {
+        // clear sinon sandbox
+        sandbox.restore()
+    })
+
+    it('should create client with or without new', function () {
+        assert.instanceOf(ImmutableCore.MemoryCacheClient(), ImmutableCore.MemoryCacheClient)
+        assert.instanceOf(new ImmutableCore.MemoryCacheClient(), ImmutableCore.MemoryCacheClient)
+    })
+
+    it('should throw error on invalid options', function () {
+        assert.throws(() => ImmutableCore.MemoryCacheClient({maxEntries: 0}), /maxEntries must be positive integer/)
+        assert.throws(() => ImmutableCore.MemoryCacheClient({maxBytes: 1.5}), /maxBytes must be positive integer/)
+        assert.throws(() => ImmutableCore.MemoryCacheClient({defaultTtl: -1}), /defaultTtl must be non-negative number/)
+    })
+
+    it('should be valid cache client', function () {
+        ImmutableCore.cacheClient(ImmutableCore.MemoryCacheClient())
+    })
+
+    it('should set and get copy of value', async function () {
+        var cacheClient = ImmutableCore.MemoryCacheClient()
+        // set value
+        var value = {foo: 'foo'}
+        await cacheClient.set('foo', value)
+        // get value
+        var res = await cacheClient.get('foo')
+        assert.deepEqual(res, value)
+        assert.notStrictEqual(res, value)
+    })
+
+    it('should resolve with null if key not found', async function () {
+        var cacheClient = ImmutableCore.MemoryCacheClient()
+        assert.isNull(await cacheClient.get('foo'))
+    })
+
+    it('should count hits and misses', async function () {
+        var cacheClient = ImmutableCore.MemoryCacheClient()
+        await cacheClient.set('foo', 'foo')
+        await cacheClient.get('foo')
+        await cacheClient.get('foo')
+        await cacheClient.get('bar')
+        // check stats
+        assert.deepEqual(cacheClient.stats(), {
+            bytes: 8,
+            entries: 1,
+            evictions: 0,
+            hits: 2,
+            misses: 1,
+        })
+    })
+
+    it('should expire entry set with setex', async function () {
+        var clock = sandbox.useFakeTimers()
+        var cacheClient = ImmutableCore.MemoryCacheClient()
+        // set value with 10 second expiration
+        await cacheClient.setex('foo', 'foo', 10)
+        // check value before expiration
+        clock.tick(9999)
+        assert.strictEqual(await cacheClient.get('foo'), 'foo')
+        // check value after expiration
+        clock.tick(1)
+        assert.isNull(await cacheClient.get('foo'))
+        assert.strictEqual(cacheClient.stats().entries, 0)
+    })
+
+    it('should expire entry set with set after defaultTtl', async function () {
+        var clock = sandbox.useFakeTimers()
+        var cacheClient = ImmutableCore.MemoryCacheClient({defaultTtl: 1})
+        // set value
+        await cacheClient.set('foo', 'foo')
+        // check value after expiration
+        clock.tick(1000)
+        assert.isNull(await cacheClient.get('foo'))
+    })
+
+    it('should not expire entry with non-positive expire', async function () {
+        var clock = sandbox.useFakeTimers()
+        var cacheClient = ImmutableCore.MemoryCacheClient({defaultTtl: 1})
+        // set value that does not expire
+        await cacheClient.setex('foo', 'foo', 0)
+        // check value
+        clock.tick(1000000)
+        assert.strictEqual(await cacheClient.get('foo'), 'foo')
+    })
+
+    it('should evict least recently used entry when maxEntries exceeded', async function () {
+        var cacheClient = ImmutableCore.MemoryCacheClient({maxEntries: 2})
+        // set values
+        await cacheClient.set('foo', 'foo')
+        await cacheClient.set('bar', 'bar')
+        // use foo so bar is least recently used
+        await cacheClient.get('foo')
+        // set value that exceeds limit
+        await cacheClient.set('baz', 'baz')
+        // check bar evicted
+        assert.isNull(await cacheClient.get('bar'))
+        assert.strictEqual(await cacheClient.get('foo'), 'foo')
+        assert.strictEqual(await cacheClient.get('baz'), 'baz')
+        assert.strictEqual(cacheClient.stats().evictions, 1)
+    })
+
+    it('should remove expired entries before evicting live entries', async function () {
+        var clock = sandbox.useFakeTimers()
+        var cacheClient = ImmutableCore.MemoryCacheClient({maxEntries: 3})
+        // set live value as least recently used
+        await cacheClient.set('foo', 'foo')
+        // set values that expire
+        await cacheClient.setex('bar', 'bar', 1)
+        await cacheClient.setex('baz', 'baz', 1)
+        // expire values
+        clock.tick(1000)
+        // set value that exceeds limit
+        await cacheClient.set('bam', 'bam')
+        // check expired entries removed without evicting live entry
+        assert.strictEqual(await cacheClient.get('foo'), 'foo')
+        assert.strictEqual(await cacheClient.get('bam'), 'bam')
+        assert.deepInclude(cacheClient.stats(), {
+            entries: 2,
+            evictions: 0,
+        })
+    })
+
+    it('should not scan entries on eviction if none may have expired', async function () {
+        var clock = sandbox.useFakeTimers()
+        var cacheClient = ImmutableCore.MemoryCacheClient({maxEntries: 2})
+        // set values that do not expire and value that expires later
+        await cacheClient.set('foo', 'foo')
+        await cacheClient.setex('bar', 'bar', 10)
+        // spy on iteration of entries
+        sandbox.spy(cacheClient.entries, 'forEach')
+        // set values that exceed limit before any entry expires
+        await cacheClient.set('baz', 'baz')
+        await cacheClient.set('bam', 'bam')
+        assert.notCalled(cacheClient.entries.forEach)
+        assert.strictEqual(cacheClient.stats().evictions, 2)
+        // set value that expires and let it expire
+        await cacheClient.setex('foo', 'foo', 1)
+        clock.tick(1000)
+        // set value that exceeds limit which scans for expired entries
+        await cacheClient.set('bar', 'bar')
+        assert.calledOnce(cacheClient.entries.forEach)
+        assert.isNull(await cacheClient.get('foo'))
+        assert.strictEqual(await cacheClient.get('bam'), 'bam')
+    })
+
+    it('should evict entries when maxBytes exceeded', async function () {
+        // each entry is 3 byte key + 5 byte json
+        var cacheClient = ImmutableCore.MemoryCacheClient({maxBytes: 16})
+        // set values
+        await cacheClient.set('foo', 'foo')
+        await cacheClient.set('bar', 'bar')
+        await cacheClient.set('baz', 'baz')
+        // check foo evicted
+        assert.isNull(await cacheClient.get('foo'))
+        assert.strictEqual(cacheClient.stats().bytes, 16)
+        // value larger than limit is not stored
+        await cacheClient.set('big', 'x'.repeat(16))
+        assert.isNull(await cacheClient.get('big'))
+        assert.strictEqual(cacheClient.stats().entries, 2)
+    })
+
+    it('should replace existing entry', async function () {
+        var cacheClient = ImmutableCore.MemoryCacheClient()
+        // set value twice
+        await cacheClient.set('foo', 'foo')
+        await cacheClient.set('foo', 'bar')
+        // check value and size
+        assert.strictEqual(await cacheClient.get('foo'), 'bar')
+        assert.strictEqual(cacheClient.stats().entries, 1)
+        assert.strictEqual(cacheClient.stats().bytes, 8)
+    })
+
+    it('should not store value that cannot be serialized', async function () {
+        var cacheClient = ImmutableCore.MemoryCacheClient()
+        await cacheClient.set('foo', undefined)
+        assert.strictEqual(cacheClient.stats().entries, 0)
+    })
+
+    it('should not store circular or BigInt value', async function () {
+        var cacheClient = ImmutableCore.MemoryCacheClient()
+        // create circular value
+        var circular = {}
+        circular.self = circular
+        // set values that throw when serialized
+        await cacheClient.set('foo', circular)
+        await cacheClient.set('bar', {bar: BigInt(1)})
+        assert.strictEqual(cacheClient.stats().entries, 0)
+    })
+
+    it('should resolve cached method call with circular result', async function () {
+        var cacheClient = ImmutableCore.MemoryCacheClient()
+        // create FooModule that returns circular value
+        var fooModule = ImmutableCore.module('FooModule', {
+            foo: () => {
+                var res = {foo: true}
+                res.self = res
+                return res
+            },
+        })
+        // add cache to foo
+        ImmutableCore.cache('FooModule.foo', {cacheClient: cacheClient})
+        // call should resolve without caching result
+        var res = await fooModule.foo({session: {}})
+        assert.isTrue(res.foo)
+        assert.strictEqual(cacheClient.stats().entries, 0)
+    })
+
+    it('should delete entry', async function () {
+        var cacheClient = ImmutableCore.MemoryCacheClient()
+        await cacheClient.set('foo', 'foo')
+        // delete entry
+        assert.isTrue(await cacheClient.del('foo'))
+        assert.isFalse(await cacheClient.del('foo'))
+        // check entry deleted
+        assert.isNull(await cacheClient.get('foo'))
+        assert.strictEqual(cacheClient.stats().bytes, 0)
+    })
+
+    it('should clear all entries', async function () {
+        var cacheClient = ImmutableCore.MemoryCacheClient()
+        await cacheClient.set('foo', 'foo')
+        await cacheClient.set('bar', 'bar')
+        // clear entries
+        await cacheClient.clear()
+        // check entries cleared
+        assert.strictEqual(cacheClient.stats().entries, 0)
+        assert.strictEqual(cacheClient.stats().bytes, 0)
+    })
+
+    it('should cache method calls', async function () {
+        var cacheClient = ImmutableCore.MemoryCacheClient()
+        // set global cache client
+        ImmutableCore.cacheClient(cacheClient)
+        // create FooModule with stub method
+        var foo = sandbox.stub().resolves({foo: true})
+        var fooModule = ImmutableCore.module('FooModule', {
+            foo: foo,
+        })
+        // add cache to foo
+        ImmutableCore.cache('FooModule.foo')
+        // call foo twice
+        await fooModule.foo({bar: 1, session: {}})
+        var res = await fooModule.foo({bar: 1, session: {}})
+        // check method only called once
+        assert.calledOnce(foo)
+        assert.isTrue(res.foo)
+        assert.isString(res._cached)
+        // invalidate entry
+        await ImmutableCore.invalidate('FooModule.foo', {bar: 1})
+        await fooModule.foo({bar: 1, session: {}})
+        assert.calledTwice(foo)
+    })
+
+})
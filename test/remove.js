@@ -0,0 +1,130 @@
+'use strict'
+
+/* npm modules */
+const chai = require('chai')
+const sinon = require('sinon')
+
+/* application modules */
+const ImmutableCore = require('../lib/immutable-core')
+const MockCacheClient = require('../mock/mock-cache-client')
+
+/* chai config */
+const assert = chai.assert
+sinon.assert.expose(chai.assert, { prefix: '' })
+
+describe('immutable-core remove', function () {
+
+    var cacheClient, sandbox
+
+    beforeEach(function () {
+        // reset global singleton data
+        ImmutableCore.reset().strictArgs(false)
+        // create sinon sandbox
+        sandbox = sinon.createSandbox()
+        // create mock cache client
+        cacheClient = new MockCacheClient(sandbox)
+    })
+
+    afterEach(function () {
+        // clear sinon sandbox
+        sandbox.restore()
+    })
+
+    it('should remove module', function () {
+        // create FooModule
+        ImmutableCore.module('FooModule', {
+            foo: () => true,
+        })
+        // remove module
+        ImmutableCore.removeModule('FooModule')
+        // module should not exist
+        assert.isFalse(ImmutableCore.hasModule('FooModule'))
+        assert.isFalse(ImmutableCore.hasMethod('FooModule.foo'))
+    })
+
+    it('should allow module to be defined again after remove', function () {
+        // create FooModule
+        ImmutableCore.module('FooModule', {
+            foo: () => true,
+        }, {
+            schema: {
+                args: { properties: { foo: { type: 'string' } } },
+            },
+        })
+        // remove module
+        ImmutableCore.removeModule('FooModule')
+        // create FooModule again
+        ImmutableCore.module('FooModule', {
+            foo: () => true,
+        })
+        // module should exist
+        assert.isTrue(ImmutableCore.hasMethod('FooModule.foo'))
+    })
+
+    it('should remove binds and cache rules for module', async function () {
+        // create FooModule
+        var fooModule = ImmutableCore.module('FooModule', {
+            foo: () => true,
+        })
+        // create stub for bar
+        var bar = sandbox.stub().resolves()
+        // create BarModule
+        var barModule = ImmutableCore.module('BarModule', {
+            bar: bar,
+            baz: () => true,
+        })
+        // bind bar after foo and foo before baz
+        ImmutableCore.after('FooModule.foo', barModule.bar)
+        ImmutableCore.before('BarModule.baz', fooModule.foo)
+        // bind foo before method that does not exist
+        ImmutableCore.before('BazModule.baz', fooModule.foo)
+        // add cache rules
+        ImmutableCore.cache('FooModule.foo', {cacheClient: cacheClient})
+        ImmutableCore.cache('FooModule.bam', {cacheClient: cacheClient})
+        // remove module
+        ImmutableCore.removeModule('FooModule')
+        // all binds and caches should be removed
+        assert.deepEqual(ImmutableCore.getGlobal().binds, {})
+        assert.deepEqual(ImmutableCore.getGlobal().caches, {})
+        assert.isUndefined(barModule.baz.meta.before)
+    })
+
+    it('should remove method', async function () {
+        // create FooModule
+        var fooModule = ImmutableCore.module('FooModule', {
+            bar: () => true,
+            foo: () => true,
+        })
+        // remove foo
+        ImmutableCore.removeMethod('FooModule.foo')
+        // foo should not exist
+        assert.isFalse(ImmutableCore.hasMethod('FooModule.foo'))
+        assert.isTrue(ImmutableCore.hasMethod('FooModule.bar'))
+    })
+
+    it('should remove schemas for method', function () {
+        // create FooModule
+        var fooModule = ImmutableCore.module('FooModule', {})
+        // create method with schemas
+        fooModule.method('foo', () => true, {
+            schema: {
+                args: { properties: { foo: { type: 'string' } } },
+                return: { type: 'boolean' },
+            },
+        })
+        // remove foo
+        ImmutableCore.removeMethod('FooModule.foo')
+        // schemas should be removed
+        assert.isUndefined(ImmutableCore.ajv().getSchema('/module/FooModule/foo/args'))
+        assert.isUndefined(ImmutableCore.ajv().getSchema('/module/FooModule/foo/return'))
+    })
+
+    it('should throw error when removing module that does not exist', function () {
+        assert.throws(() => ImmutableCore.removeModule('FooModule'))
+    })
+
+    it('should throw error when removing method that does not exist', function () {
+        assert.throws(() => ImmutableCore.removeMethod('FooModule.foo'))
+    })
+
+})
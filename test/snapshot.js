@@ -0,0 +1,220 @@
+'use strict'
+
+/* npm modules */
+const chai = require('chai')
+const sinon = require('sinon')
+
+/* application modules */
+const ImmutableCore = require('../lib/immutable-core')
+const MockCacheClient = require('../mock/mock-cache-client')
+
+/* chai config */
+const assert = chai.assert
+sinon.assert.expose(chai.assert, { prefix: '' })
+
+describe('immutable-core snapshot', function () {
+
+    var sandbox
+
+    beforeEach(function () {
+        // reset global singleton data
+        ImmutableCore.reset().strictArgs(false)
+        // create sinon sandbox
+        sandbox = sinon.createSandbox()
+    })
+
+    afterEach(function () {
+        // clear sinon sandbox
+        sandbox.restore()
+    })
+
+    it('should remove modules and functions added after snapshot', function () {
+        // create FooModule
+        var fooModule = ImmutableCore.module('FooModule', {
+            foo: () => true,
+        })
+        // take snapshot
+        var snapshot = ImmutableCore.snapshot()
+        // create BarModule and function
+        ImmutableCore.module('BarModule', {
+            bar: () => true,
+        })
+        ImmutableCore.function('bam', () => true)
+        // restore snapshot
+        ImmutableCore.restore(snapshot)
+        // check modules
+        assert.strictEqual(ImmutableCore.module('FooModule'), fooModule)
+        assert.isFalse(ImmutableCore.hasModule('BarModule'))
+        assert.isFalse(ImmutableCore.hasFunction('bam'))
+    })
+
+    it('should remove methods added after snapshot', function () {
+        // create FooModule
+        var fooModule = ImmutableCore.module('FooModule', {
+            foo: () => true,
+        })
+        // take snapshot
+        var snapshot = ImmutableCore.snapshot()
+        // add method with schema
+        ImmutableCore.method('FooModule.bar', () => true, {
+            schema: {
+                args: { properties: { bar: { type: 'string' } } },
+            },
+        })
+        // restore snapshot
+        ImmutableCore.restore(snapshot)
+        // check methods
+        assert.isTrue(ImmutableCore.hasMethod('FooModule.foo'))
+        assert.isFalse(ImmutableCore.hasMethod('FooModule.bar'))
+        // method should be able to be added again
+        ImmutableCore.method('FooModule.bar', () => true, {
+            schema: {
+                args: { properties: { bar: { type: 'string' } } },
+            },
+        })
+    })
+
+    it('should remove binds added after snapshot', async function () {
+        // create FooModule
+        var fooModule = ImmutableCore.module('FooModule', {
+            foo: () => true,
+        })
+        // create stubs
+        var bar = sandbox.stub().resolves()
+        var baz = sandbox.stub().resolves()
+        // create BarModule
+        var barModule = ImmutableCore.module('BarModule', {
+            bar: bar,
+            baz: baz,
+        })
+        // bind bar before foo
+        ImmutableCore.before('FooModule.foo', barModule.bar)
+        // take snapshot
+        var snapshot = ImmutableCore.snapshot()
+        // bind baz before foo and before method not yet defined
+        ImmutableCore.before('FooModule.foo', barModule.baz)
+        ImmutableCore.before('FooModule.bam', barModule.baz)
+        // restore snapshot
+        ImmutableCore.restore(snapshot)
+        // call foo
+        await fooModule.foo()
+        // only bar should be called
+        assert.calledOnce(bar)
+        assert.notCalled(baz)
+        // baz should be able to be bound again
+        ImmutableCore.before('FooModule.foo', barModule.baz)
+    })
+
+    it('should restore binds removed after snapshot', async function () {
+        // create FooModule
+        var fooModule = ImmutableCore.module('FooModule', {
+            foo: () => true,
+        })
+        // create stub for bar
+        var bar = sandbox.stub().resolves()
+        // create BarModule
+        var barModule = ImmutableCore.module('BarModule', {
+            bar: bar,
+        })
+        // bind bar after foo
+        ImmutableCore.after('FooModule.foo', barModule.bar)
+        // take snapshot
+        var snapshot = ImmutableCore.snapshot()
+        // unbind bar
+        ImmutableCore.unbind('after', 'FooModule.foo', barModule.bar)
+        // restore snapshot
+        ImmutableCore.restore(snapshot)
+        // call foo
+        await fooModule.foo()
+        // bar should be called
+        assert.calledOnce(bar)
+    })
+
+    it('should remove cache rules added after snapshot', async function () {
+        // create cache client
+        var cacheClient = new MockCacheClient(sandbox)
+        // create FooModule
+        var fooModule = ImmutableCore.module('FooModule', {
+            foo: () => true,
+        })
+        // take snapshot
+        var snapshot = ImmutableCore.snapshot()
+        // add cache rule
+        ImmutableCore.cache('FooModule.foo', {cacheClient: cacheClient})
+        // restore snapshot
+        ImmutableCore.restore(snapshot)
+        // call foo
+        await fooModule.foo()
+        // cache should not be used
+        assert.notCalled(cacheClient.get)
+        assert.deepEqual(ImmutableCore.getGlobal().caches, {})
+    })
+
+    it('should restore module data and default options', function () {
+        // create FooModule with data
+        var fooModule = ImmutableCore.module('FooModule', {})
+        var barModule = ImmutableCore.module('BarModule', {})
+        fooModule.data = {foo: true}
+        // take snapshot
+        var snapshot = ImmutableCore.snapshot()
+        // change data and options
+        fooModule.data = {foo: false}
+        barModule.data = {bar: true}
+        ImmutableCore.allowOverride(true)
+        // restore snapshot
+        ImmutableCore.restore(snapshot)
+        // check data
+        assert.deepEqual(fooModule.data, {foo: true})
+        assert.strictEqual(fooModule.meta.dataId, 'ce35fd691fe6c26448191f4528e1ffef')
+        assert.isUndefined(barModule.data)
+        // check options
+        assert.isFalse(ImmutableCore.allowOverride())
+    })
+
+    it('should allow snapshot to be restored multiple times', async function () {
+        // create FooModule
+        var fooModule = ImmutableCore.module('FooModule', {
+            foo: () => true,
+        })
+        // take snapshot
+        var snapshot = ImmutableCore.snapshot()
+        // create BarModule and restore twice
+        ImmutableCore.module('BarModule', {})
+        ImmutableCore.restore(snapshot)
+        ImmutableCore.module('BarModule', {})
+        ImmutableCore.restore(snapshot)
+        // check modules
+        assert.isFalse(ImmutableCore.hasModule('BarModule'))
+    })
+
+    it('should restore module removed after snapshot', async function () {
+        // create FooModule with schema
+        var fooModule = ImmutableCore.module('FooModule', {})
+        fooModule.method('foo', args => args.foo, {
+            schema: {
+                args: { properties: { foo: { type: 'string' } } },
+            },
+        })
+        // take snapshot
+        var snapshot = ImmutableCore.snapshot()
+        // remove module
+        ImmutableCore.removeModule('FooModule')
+        // restore snapshot
+        ImmutableCore.restore(snapshot)
+        // call foo
+        var res = await fooModule.foo({foo: 'foo'})
+        // check result
+        assert.strictEqual(res, 'foo')
+        assert.strictEqual(ImmutableCore.module('FooModule'), fooModule)
+    })
+
+    it('should throw error on invalid snapshot', function () {
+        // create container
+        var container = ImmutableCore.createContainer()
+        // snapshot from different container should be invalid
+        assert.throws(() => ImmutableCore.restore(container.snapshot()))
+        assert.throws(() => ImmutableCore.restore({}))
+        assert.throws(() => ImmutableCore.restore())
+    })
+
+})
@@ -0,0 +1,231 @@
+'use strict'
+
+/* npm modules */
+const Promise = require('bluebird')
+const chai = require('chai')
+const sinon = require('sinon')
+
+/* application modules */
+const ImmutableCore = require('../lib/immutable-core')
+const MockCacheClient = require('../mock/mock-cache-client')
+const MockLogClient = require('../mock/mock-log-client')
+
+/* chai config */
+const assert = chai.assert
+sinon.assert.expose(chai.assert, { prefix: '' })
+
+describe('immutable-core timeout', function () {
+
+    var sandbox
+
+    beforeEach(function () {
+        // reset global singleton data
+        ImmutableCore.reset().strictArgs(false)
+        // create sinon sandbox
+        sandbox = sinon.createSandbox()
+    })
+
+    afterEach(function () {
+        // clear sinon sandbox
+        sandbox.restore()
+    })
+
+    /**
+     * @function callAndCatch
+     *
+     * call method and return error it rejects with
+     *
+     * @param {function} method
+     * @param {object} args
+     *
+     * @returns {Promise}
+     */
+    function callAndCatch (method, args) {
+        return method(args).then(() => assert.fail('call should reject'), err => err)
+    }
+
+    it('should reject with TimeoutError when method exceeds timeout', async function () {
+        // create module with slow method
+        var fooModule = ImmutableCore.module('FooModule', {
+            foo: () => Promise.delay(100),
+        })
+        // set timeout for method
+        ImmutableCore.method('FooModule.foo', () => Promise.delay(100), {allowOverride: true, timeout: 10})
+        // call foo
+        var err = await callAndCatch(fooModule.foo, {session: {}})
+        // check error
+        assert.instanceOf(err, ImmutableCore.TimeoutError)
+        assert.instanceOf(err, Error)
+        assert.strictEqual(err.name, 'TimeoutError')
+        assert.strictEqual(err.signature, 'FooModule.foo')
+        assert.strictEqual(err.timeout, 10)
+        assert.isString(err.moduleCallId)
+        assert.strictEqual(err.message, 'FooModule.foo timed out after 10ms')
+    })
+
+    it('should resolve when method completes before timeout', async function () {
+        // create module with timeout
+        var fooModule = ImmutableCore.module('FooModule', {
+            foo: () => ({foo: true}),
+        }, {
+            timeout: 100,
+        })
+        // call foo
+        var res = await fooModule.foo()
+        // check result
+        assert.deepEqual(res, {foo: true})
+    })
+
+    it('should use global default timeout', async function () {
+        // set global timeout
+        ImmutableCore.timeout(10)
+        // create module with slow method
+        var fooModule = ImmutableCore.module('FooModule', {
+            foo: () => Promise.delay(100),
+        })
+        // call foo
+        var err = await callAndCatch(fooModule.foo)
+        // check error
+        assert.instanceOf(err, ImmutableCore.TimeoutError)
+    })
+
+    it('should time out when cache client get hangs', async function () {
+        // create cache client that never resolves
+        var cacheClient = new MockCacheClient(sandbox)
+        cacheClient.get.returns(new Promise(() => {}))
+        // create module with timeout
+        var fooModule = ImmutableCore.module('FooModule', {
+            foo: () => ({foo: true}),
+        }, {
+            timeout: 10,
+        })
+        // cache foo
+        ImmutableCore.cache('FooModule.foo', {cacheClient: cacheClient})
+        // call foo
+        var err = await callAndCatch(fooModule.foo)
+        // check error
+        assert.instanceOf(err, ImmutableCore.TimeoutError)
+    })
+
+    it('should time out when before method hangs', async function () {
+        // create module with timeout
+        var fooModule = ImmutableCore.module('FooModule', {
+            foo: () => ({foo: true}),
+        }, {
+            timeout: 10,
+        })
+        // create module with slow method
+        var barModule = ImmutableCore.module('BarModule', {
+            bar: () => Promise.delay(100),
+        })
+        // bind bar before foo
+        ImmutableCore.before('FooModule.foo', barModule.bar)
+        // call foo
+        var err = await callAndCatch(fooModule.foo)
+        // check error
+        assert.instanceOf(err, ImmutableCore.TimeoutError)
+        assert.strictEqual(err.signature, 'FooModule.foo')
+    })
+
+    it('should log timeout as rejection', async function () {
+        // create log client
+        var logClient = new MockLogClient(sandbox)
+        // create module with slow method
+        var fooModule = ImmutableCore.module('FooModule', {
+            foo: () => Promise.delay(100),
+        }, {
+            logClient: logClient,
+            timeout: 10,
+        })
+        // call foo
+        await callAndCatch(fooModule.foo)
+        // check log
+        assert.calledWithMatch(logClient.log, 'moduleCallResolve', {
+            moduleCallResolveData: sinon.match.instanceOf(ImmutableCore.TimeoutError),
+            resolved: 0,
+        })
+    })
+
+    it('should reject with TimeoutError when bound method exceeds bind timeout', async function () {
+        // create module
+        var fooModule = ImmutableCore.module('FooModule', {
+            foo: () => ({foo: true}),
+        })
+        // create module with slow method
+        var barModule = ImmutableCore.module('BarModule', {
+            bar: () => Promise.delay(100),
+        })
+        // bind bar after foo with timeout
+        ImmutableCore.after('FooModule.foo', barModule.bar, {timeout: 10})
+        // call foo
+        var err = await callAndCatch(fooModule.foo, {session: {}})
+        // check error
+        assert.instanceOf(err, ImmutableCore.TimeoutError)
+        assert.strictEqual(err.signature, 'BarModule.bar')
+    })
+
+    it('should propagate deadline to nested calls', async function () {
+        // create stub for bar
+        var bar = sandbox.stub().resolves()
+        var barModule = ImmutableCore.module('BarModule', {
+            bar: bar,
+        })
+        // create module that calls bar
+        var fooModule = ImmutableCore.module('FooModule', {
+            foo: args => barModule.bar({session: args.session}),
+        }, {
+            propagateTimeout: true,
+            timeout: 20,
+        })
+        // call foo
+        var start = Date.now()
+        await fooModule.foo()
+        // check deadline set on session for nested call
+        var deadline = bar.firstCall.args[0].session.deadline
+        assert.isAtLeast(deadline, start + 20)
+        assert.isAtMost(deadline, Date.now() + 20)
+    })
+
+    it('should reject when deadline on session is exceeded', async function () {
+        // create module with slow method
+        var barModule = ImmutableCore.module('BarModule', {
+            bar: () => Promise.delay(100),
+        }, {
+            timeout: 1000,
+        })
+        // call bar with deadline
+        var err = await callAndCatch(barModule.bar, {session: {deadline: Date.now() + 10}})
+        // check error
+        assert.instanceOf(err, ImmutableCore.TimeoutError)
+        assert.strictEqual(err.signature, 'BarModule.bar')
+        assert.isAtMost(err.timeout, 10)
+    })
+
+    it('should not propagate deadline unless option set', async function () {
+        // create stub for bar
+        var bar = sandbox.stub().resolves()
+        var barModule = ImmutableCore.module('BarModule', {
+            bar: bar,
+        })
+        // create module that calls bar
+        var fooModule = ImmutableCore.module('FooModule', {
+            foo: args => barModule.bar({session: args.session}),
+        }, {
+            timeout: 20,
+        })
+        // call foo
+        await fooModule.foo()
+        // check session
+        assert.notProperty(bar.firstCall.args[0].session, 'deadline')
+    })
+
+    it('should throw error on invalid timeout', function () {
+        assert.throws(() => {
+            ImmutableCore.timeout(-1)
+        }, 'timeout error: timeout must be positive number')
+        assert.throws(() => {
+            ImmutableCore.module('FooModule', {}, {timeout: 'foo'})
+        }, 'options error: timeout must be positive number')
+    })
+
+})
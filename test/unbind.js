@@ -0,0 +1,152 @@
+'use strict'
+
+/* npm modules */
+const chai = require('chai')
+const sinon = require('sinon')
+
+/* application modules */
+const ImmutableCore = require('../lib/immutable-core')
+
+/* chai config */
+const assert = chai.assert
+sinon.assert.expose(chai.assert, { prefix: '' })
+
+describe('immutable-core unbind', function () {
+
+    var sandbox
+
+    beforeEach(function () {
+        // reset global singleton data
+        ImmutableCore.reset().strictArgs(false)
+        // create sinon sandbox
+        sandbox = sinon.createSandbox()
+    })
+
+    afterEach(function () {
+        // clear sinon sandbox
+        sandbox.restore()
+    })
+
+    it('should unbind method bound to existing method', async function () {
+        // create FooModule
+        var fooModule = ImmutableCore.module('FooModule', {
+            foo: () => true,
+        })
+        // create stub for bar
+        var bar = sandbox.stub().resolves()
+        // create BarModule
+        var barModule = ImmutableCore.module('BarModule', {
+            bar: bar,
+        })
+        // bind bar before foo
+        ImmutableCore.before('FooModule.foo', barModule.bar)
+        // unbind bar
+        ImmutableCore.unbind('before', 'FooModule.foo', barModule.bar)
+        // call foo
+        await fooModule.foo()
+        // bar should not be called
+        assert.notCalled(bar)
+        // bind should be removed from method and global store
+        assert.isUndefined(fooModule.foo.meta.before)
+        assert.deepEqual(ImmutableCore.getGlobal().binds, {})
+    })
+
+    it('should unbind method bound to method that does not exist', async function () {
+        // create stub for bar
+        var bar = sandbox.stub().resolves()
+        // create BarModule
+        var barModule = ImmutableCore.module('BarModule', {
+            bar: bar,
+        })
+        // bind bar after foo
+        ImmutableCore.after('FooModule.foo', barModule.bar)
+        // unbind bar
+        ImmutableCore.unbind('after', 'FooModule.foo', barModule.bar)
+        // create FooModule
+        var fooModule = ImmutableCore.module('FooModule', {
+            foo: () => true,
+        })
+        // call foo
+        await fooModule.foo()
+        // bar should not be called
+        assert.notCalled(bar)
+    })
+
+    it('should leave other binds in place', async function () {
+        // create FooModule
+        var fooModule = ImmutableCore.module('FooModule', {
+            foo: () => true,
+        })
+        // create stubs
+        var bar = sandbox.stub().resolves()
+        var baz = sandbox.stub().resolves()
+        // create BarModule
+        var barModule = ImmutableCore.module('BarModule', {
+            bar: bar,
+            baz: baz,
+        })
+        // bind bar and baz with foo
+        ImmutableCore.with('FooModule.foo', barModule.bar)
+        ImmutableCore.with('FooModule.foo', barModule.baz)
+        // unbind bar
+        ImmutableCore.unbind('with', 'FooModule.foo', barModule.bar)
+        // call foo
+        await fooModule.foo()
+        // only baz should be called
+        assert.notCalled(bar)
+        assert.calledOnce(baz)
+    })
+
+    it('should allow method to be bound again after unbind', async function () {
+        // create FooModule
+        var fooModule = ImmutableCore.module('FooModule', {
+            foo: () => true,
+        })
+        // create stub for bar
+        var bar = sandbox.stub().resolves()
+        // create BarModule
+        var barModule = ImmutableCore.module('BarModule', {
+            bar: bar,
+        })
+        // bind, unbind and bind again
+        ImmutableCore.after('FooModule.foo', barModule.bar)
+        ImmutableCore.unbind('after', 'FooModule.foo', barModule.bar)
+        ImmutableCore.after('FooModule.foo', barModule.bar)
+        // call foo
+        await fooModule.foo()
+        // bar should be called once
+        assert.calledOnce(bar)
+    })
+
+    it('should allow method named unbind', async function () {
+        // create FooModule with unbind method
+        var fooModule = ImmutableCore.module('FooModule', {
+            unbind: () => true,
+        })
+        // call unbind method
+        assert.isTrue(await fooModule.unbind())
+    })
+
+    it('should throw error when method not bound', function () {
+        // create FooModule
+        var fooModule = ImmutableCore.module('FooModule', {
+            foo: () => true,
+        })
+        // create BarModule
+        var barModule = ImmutableCore.module('BarModule', {
+            bar: () => true,
+        })
+        // attempt to unbind
+        assert.throws(() => ImmutableCore.unbind('before', 'FooModule.foo', barModule.bar))
+    })
+
+    it('should throw error on invalid bind type', function () {
+        // create BarModule
+        var barModule = ImmutableCore.module('BarModule', {
+            bar: () => true,
+        })
+        // attempt to unbind
+        assert.throws(() => ImmutableCore.unbind('foo', 'FooModule.foo', barModule.bar))
+    })
+
+})
@@ -0,0 +1,133 @@
+'use strict'
+
+/* npm modules */
+const chai = require('chai')
+const sinon = require('sinon')
+
+/* application modules */
+const ImmutableCore = require('../lib/immutable-core')
+const MockCacheClient = require('../mock/mock-cache-client')
+
+/* chai config */
+const assert = chai.assert
+
+describe('immutable-core verify', function () {
+
+    var sandbox
+
+    beforeEach(function () {
+        // reset global singleton data
+        ImmutableCore.reset().strictArgs(false)
+        // create sinon sandbox
+        sandbox = sinon.createSandbox()
+    })
+
+    afterEach(function () {
+        // clear sinon sandbox
+        sandbox.restore()
+    })
+
+    it('should return no errors when all binds and cache rules applied', function () {
+        // create FooModule
+        ImmutableCore.module('FooModule', {
+            foo: () => true,
+        })
+        // create BarModule
+        var barModule = ImmutableCore.module('BarModule', {
+            bar: () => true,
+        })
+        // bind and cache
+        ImmutableCore.before('FooModule.foo', barModule.bar)
+        ImmutableCore.cache('FooModule.foo', {cacheClient: new MockCacheClient(sandbox)})
+        // verify
+        assert.deepEqual(ImmutableCore.verify({strict: true}), [])
+    })
+
+    it('should return error for bind to method that is not defined', function () {
+        // create BarModule
+        var barModule = ImmutableCore.module('BarModule', {
+            bar: () => true,
+        })
+        // bind to method with typo
+        ImmutableCore.after('FooModule.fooo', barModule.bar)
+        // verify
+        assert.deepEqual(ImmutableCore.verify(), [{
+            bindSignature: 'BarModule.bar',
+            bindType: 'after',
+            message: 'BarModule.bar bound after to FooModule.fooo which is not defined',
+            signature: 'FooModule.fooo',
+            type: 'bind',
+        }])
+    })
+
+    it('should return error for bound method from module that is not defined', function () {
+        // create FooModule
+        ImmutableCore.module('FooModule', {
+            foo: () => true,
+        })
+        // create BarModule
+        var barModule = ImmutableCore.module('BarModule', {
+            bar: () => true,
+        })
+        // bind bar to foo
+        ImmutableCore.before('FooModule.foo', barModule.bar)
+        // remove BarModule from global data without removing binds
+        delete ImmutableCore.getGlobal().modules.BarModule
+        // verify
+        var errors = ImmutableCore.verify()
+        // check errors
+        assert.strictEqual(errors.length, 1)
+        assert.strictEqual(errors[0].type, 'boundMethod')
+    })
+
+    it('should return errors for cache rule that is not applied without cache client', function () {
+        // add cache rule for method that is not defined
+        ImmutableCore.cache('FooModule.foo')
+        // verify
+        assert.deepEqual(ImmutableCore.verify(), [
+            {
+                message: 'cache rule for FooModule.foo which is not defined',
+                signature: 'FooModule.foo',
+                type: 'cache',
+            },
+            {
+                message: 'cache rule for FooModule.foo has no cache client',
+                signature: 'FooModule.foo',
+                type: 'cacheClient',
+            },
+        ])
+    })
+
+    it('should not return cache client error when default cache client set', function () {
+        // set default cache client
+        ImmutableCore.cacheClient(new MockCacheClient(sandbox))
+        // add cache rule for method that is not defined
+        ImmutableCore.cache('FooModule.foo')
+        // verify
+        var errors = ImmutableCore.verify()
+        // check errors
+        assert.strictEqual(errors.length, 1)
+        assert.strictEqual(errors[0].type, 'cache')
+    })
+
+    it('should throw error in strict mode', function () {
+        // create BarModule
+        var barModule = ImmutableCore.module('BarModule', {
+            bar: () => true,
+        })
+        // bind to method that is not defined
+        ImmutableCore.before('FooModule.foo', barModule.bar)
+        // verify
+        try {
+            ImmutableCore.verify({strict: true})
+        }
+        catch (err) {
+            var error = err
+        }
+        // check error
+        assert.isDefined(error)
+        assert.strictEqual(error.message, 'verify error: BarModule.bar bound before to FooModule.foo which is not defined')
+        assert.strictEqual(error.data.length, 1)
+    })
+
+})
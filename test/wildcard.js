@@ -0,0 +1,265 @@
+'use strict'
+
+/* npm modules */
+const chai = require('chai')
+const sinon = require('sinon')
+
+/* application modules */
+const ImmutableCore = require('../lib/immutable-core')
+const MockCacheClient = require('../mock/mock-cache-client')
+
+/* chai config */
+const assert = chai.assert
+sinon.assert.expose(chai.assert, { prefix: '' })
+
+describe('immutable-core wildcard signatures', function () {
+
+    var audit, auditModule, sandbox
+
+    beforeEach(function () {
+        // reset global singleton data
+        ImmutableCore.reset().strictArgs(false)
+        // create sinon sandbox
+        sandbox = sinon.createSandbox()
+        // create stub for audit
+        audit = sandbox.stub().resolves()
+        // create AuditModule
+        auditModule = ImmutableCore.module('AuditModule', {
+            audit: audit,
+        })
+    })
+
+    afterEach(function () {
+        // clear sinon sandbox
+        sandbox.restore()
+    })
+
+    it('should bind to all existing methods of module', async function () {
+        // create FooModule
+        var fooModule = ImmutableCore.module('FooModule', {
+            bar: () => true,
+            foo: () => true,
+        })
+        // bind audit before all FooModule methods
+        ImmutableCore.before('FooModule.*', auditModule.audit)
+        // call methods
+        await fooModule.foo()
+        await fooModule.bar()
+        // check calls
+        assert.calledTwice(audit)
+    })
+
+    it('should bind to methods with name in any module', async function () {
+        // create modules
+        var fooModule = ImmutableCore.module('FooModule', {
+            foo: () => true,
+            save: () => true,
+        })
+        var barModule = ImmutableCore.module('BarModule', {
+            save: () => true,
+        })
+        // bind audit after all save methods
+        ImmutableCore.after('*.save', auditModule.audit)
+        // call methods
+        await fooModule.foo()
+        await fooModule.save()
+        await barModule.save()
+        // check calls
+        assert.calledTwice(audit)
+        assert.deepEqual(audit.firstCall.args[0].session.stack, ['FooModule.save', 'AuditModule.audit,after,FooModule.save'])
+    })
+
+    it('should bind to matching methods defined later', async function () {
+        // bind audit after all save methods
+        ImmutableCore.after('*.save', auditModule.audit)
+        // create module with method
+        var fooModule = ImmutableCore.module('FooModule', {
+            save: () => true,
+        })
+        // add method to module
+        var save = ImmutableCore.method('FooModule.save2', () => true)
+        ImmutableCore.module('BarModule', {})
+        var barSave = ImmutableCore.method('BarModule.save', () => true)
+        // call methods
+        await fooModule.save()
+        await save()
+        await barSave()
+        // check calls
+        assert.calledTwice(audit)
+    })
+
+    it('should not bind method to itself', async function () {
+        // create FooModule
+        var fooModule = ImmutableCore.module('FooModule', {
+            foo: () => true,
+        })
+        // bind audit before all methods
+        ImmutableCore.before('*.*', auditModule.audit)
+        // call methods
+        await fooModule.foo()
+        await auditModule.audit()
+        // check calls - audit called directly and once for foo
+        assert.calledTwice(audit)
+        assert.notProperty(auditModule.audit.meta, 'before')
+    })
+
+    it('should not bind to excluded methods', async function () {
+        // create FooModule
+        var fooModule = ImmutableCore.module('FooModule', {
+            bar: () => true,
+            foo: () => true,
+        })
+        // bind audit before all methods except FooModule.bar
+        ImmutableCore.before('*.*', auditModule.audit, {exclude: ['FooModule.bar']})
+        // call methods
+        await fooModule.foo()
+        await fooModule.bar()
+        // check calls
+        assert.calledOnce(audit)
+    })
+
+    it('should throw error on invalid exclude', function () {
+        assert.throws(() => {
+            ImmutableCore.before('*.*', auditModule.audit, {exclude: 'FooModule.bar'})
+        }, 'bind error: exclude must be array')
+    })
+
+    it('should throw error on bind cycle through wildcard', function () {
+        // create FooModule
+        var fooModule = ImmutableCore.module('FooModule', {
+            foo: () => true,
+        })
+        // bind foo before audit
+        ImmutableCore.before('AuditModule.audit', fooModule.foo)
+        // bind audit before all FooModule methods
+        assert.throws(() => {
+            ImmutableCore.before('FooModule.*', auditModule.audit)
+        }, 'creates cycle')
+    })
+
+    it('should throw error on bind cycle between wildcard binds', function () {
+        // create MetricsModule
+        var metricsModule = ImmutableCore.module('MetricsModule', {
+            track: () => true,
+        })
+        // bind audit before all methods
+        ImmutableCore.before('*.*', auditModule.audit)
+        // bind track before all methods
+        assert.throws(() => {
+            ImmutableCore.before('*.*', metricsModule.track)
+        }, 'creates cycle')
+        // bind track before all methods excluding audit
+        ImmutableCore.before('*.*', metricsModule.track, {exclude: ['AuditModule.*']})
+    })
+
+    it('should unbind wildcard bind', async function () {
+        // create FooModule
+        var fooModule = ImmutableCore.module('FooModule', {
+            foo: () => true,
+        })
+        // bind audit before all FooModule methods
+        ImmutableCore.before('FooModule.*', auditModule.audit)
+        // unbind
+        ImmutableCore.unbind('before', 'FooModule.*', auditModule.audit)
+        // call method
+        await fooModule.foo()
+        // check calls
+        assert.notCalled(audit)
+        assert.deepEqual(ImmutableCore.getGlobal().binds, {})
+    })
+
+    it('should not duplicate wildcard bind with exact bind', async function () {
+        // create FooModule
+        var fooModule = ImmutableCore.module('FooModule', {
+            foo: () => true,
+        })
+        // bind audit before foo and before all FooModule methods
+        ImmutableCore.before('FooModule.foo', auditModule.audit)
+        ImmutableCore.before('FooModule.*', auditModule.audit)
+        // call method
+        await fooModule.foo()
+        // check calls
+        assert.calledOnce(audit)
+    })
+
+    it('should not allow wildcard in module or method name', function () {
+        assert.throws(() => {
+            ImmutableCore.module('*', {})
+        }, 'name error')
+        assert.throws(() => {
+            ImmutableCore.method('FooModule.*', () => true)
+        })
+    })
+
+    describe('cache', function () {
+
+        var cacheClient
+
+        beforeEach(function () {
+            // create cache client
+            cacheClient = new MockCacheClient(sandbox)
+            cacheClient.get.resolves({cached: true})
+        })
+
+        it('should cache all existing methods of module', async function () {
+            // create ReportModule
+            var reportModule = ImmutableCore.module('ReportModule', {
+                bar: () => ({}),
+                foo: () => ({}),
+            })
+            // cache all ReportModule methods
+            ImmutableCore.cache('ReportModule.*', {cacheClient: cacheClient})
+            // call methods
+            var foo = await reportModule.foo()
+            var bar = await reportModule.bar()
+            // check results
+            assert.isTrue(foo.cached)
+            assert.isTrue(bar.cached)
+        })
+
+        it('should cache matching methods defined later', async function () {
+            // cache all ReportModule methods
+            ImmutableCore.cache('ReportModule.*', {cacheClient: cacheClient})
+            // create ReportModule
+            var reportModule = ImmutableCore.module('ReportModule', {
+                foo: () => ({}),
+            })
+            // add method
+            var bar = ImmutableCore.method('ReportModule.bar', () => ({}))
+            // call methods
+            assert.isTrue((await reportModule.foo()).cached)
+            assert.isTrue((await bar()).cached)
+        })
+
+        it('should use most specific cache rule', async function () {
+            // create second cache client
+            var otherCacheClient = new MockCacheClient(sandbox)
+            otherCacheClient.get.resolves({other: true})
+            // cache all get methods and ReportModule methods
+            ImmutableCore.cache('*.get', {cacheClient: otherCacheClient})
+            ImmutableCore.cache('ReportModule.*', {cacheClient: cacheClient})
+            // create ReportModule
+            var reportModule = ImmutableCore.module('ReportModule', {
+                get: () => ({}),
+            })
+            // call method
+            var res = await reportModule.get()
+            // check result
+            assert.isTrue(res.cached)
+        })
+
+        it('should not add wildcard cache rule to global caches for method', function () {
+            // create ReportModule
+            ImmutableCore.module('ReportModule', {
+                foo: () => ({}),
+            })
+            // cache all ReportModule methods
+            ImmutableCore.cache('ReportModule.*', {cacheClient: cacheClient})
+            // check caches
+            assert.deepEqual(Object.keys(ImmutableCore.getGlobal().caches.ReportModule), ['*'])
+            assert.isTrue(ImmutableCore.getGlobal().caches.ReportModule['*'].cached)
+        })
+
+    })
+
+})